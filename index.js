@@ -204,7 +204,8 @@ client.on(Events.InteractionCreate, async interaction => {
         // Check if user is authorized for moderator buttons
         if (DiscordIDs.length > 0 && !DiscordIDs.includes(interaction.user.id)) {
             // Check if this is a moderator button
-            if (interaction.customId.startsWith('decline_request:') || interaction.customId.startsWith('accept_request:')) {
+            const moderatorPrefixes = ['decline_request:', 'accept_request:', 'claim_request:', 'unclaim_request:', 'undelete_post:', 'queue_page:'];
+            if (moderatorPrefixes.some(prefix => interaction.customId.startsWith(prefix))) {
                 return interaction.reply({
                     content: '❌ You are not authorized to use this button.',
                     flags: MessageFlags.Ephemeral
@@ -215,14 +216,19 @@ client.on(Events.InteractionCreate, async interaction => {
         // Handle decline button
         if (interaction.customId.startsWith('decline_request:')) {
             try {
-                // Extract post ID and user ID from custom ID
-                const [, postId, userId] = interaction.customId.split(':');
+                // Extract post ID, user ID and request ID from custom ID
+                const [, postId, userId, requestId] = interaction.customId.split(':');
+
+                // Refuse before touching the buttons if someone else has claimed the request
+                if (!(await handleDecline.ensureClaimOwnership(interaction, postId, userId, requestId))) {
+                    return;
+                }
                 
                 // Immediately disable buttons on the message (fire and forget)
                 disableButtonsOnMessage(interaction);
                 
                 // Show the decline modal
-                await handleDecline.showDeclineModal(interaction, postId, userId);
+                await handleDecline.showDeclineModal(interaction, postId, userId, requestId);
             } catch (error) {
                 console.error('Error handling decline button:', error);
                 if (!interaction.replied && !interaction.deferred) {
@@ -238,11 +244,14 @@ client.on(Events.InteractionCreate, async interaction => {
         // Handle accept button
         if (interaction.customId.startsWith('accept_request:')) {
             try {
-                // Immediately disable buttons on the message (fire and forget)
-                disableButtonsOnMessage(interaction);
-                
-                // Process the accept request directly
-                await handleDecline.processAccept(interaction, client);
+                // Refuse before touching the buttons if someone else has claimed the request
+                const [, postId, userId, requestId] = interaction.customId.split(':');
+                if (!(await handleDecline.ensureClaimOwnership(interaction, postId, userId, requestId))) {
+                    return;
+                }
+
+                // Show the accept modal, buttons are disabled once it is submitted
+                await handleDecline.showAcceptModal(interaction, postId, userId, requestId);
             } catch (error) {
                 console.error('Error handling accept button:', error);
                  if (!interaction.replied && !interaction.deferred) {
@@ -260,13 +269,18 @@ client.on(Events.InteractionCreate, async interaction => {
             try {
                 // Extract data from the custom ID
                 const customId = interaction.customId;
-                const [, postId, moderatorId] = customId.split(':');
+                const [, postId, , requestId] = customId.split(':');
+
+                // Refuse before touching the buttons if someone else has claimed the request
+                if (!(await handleDecline.ensureClaimOwnership(interaction, postId, null, requestId))) {
+                    return;
+                }
                 
                 // Immediately disable buttons on the message (fire and forget)
                 disableButtonsOnMessage(interaction);
                 
                 // Process the undeletion
-                await handleDecline.handleUndeletePost(interaction, postId, moderatorId);
+                await handleDecline.handleUndeletePost(interaction, postId, requestId);
             } catch (error) {
                 console.error('Error handling undelete button:', error);
                 if (!interaction.replied && !interaction.deferred) {
@@ -279,6 +293,63 @@ client.on(Events.InteractionCreate, async interaction => {
             return;
         }
 
+        // Handle claim and unclaim buttons
+        if (interaction.customId.startsWith('claim_request:') || interaction.customId.startsWith('unclaim_request:')) {
+            try {
+                if (interaction.customId.startsWith('claim_request:')) {
+                    await handleDecline.claimRequest(interaction);
+                } else {
+                    await handleDecline.unclaimRequest(interaction);
+                }
+            } catch (error) {
+                console.error('Error handling claim button:', error);
+                if (!interaction.replied && !interaction.deferred) {
+                    await interaction.reply({
+                        content: '❌ An error occurred while processing your request.',
+                        flags: MessageFlags.Ephemeral
+                    });
+                }
+            }
+            return;
+        }
+
+        // Handle replacement queue pagination buttons
+        if (interaction.customId.startsWith('queue_page:')) {
+            try {
+                const queueCommand = interaction.client.commands.get('queue');
+                await queueCommand.handlePageButton(interaction);
+            } catch (error) {
+                console.error('Error handling queue page button:', error);
+                if (!interaction.replied && !interaction.deferred) {
+                    await interaction.reply({
+                        content: '❌ An error occurred while loading the queue.',
+                        flags: MessageFlags.Ephemeral
+                    });
+                }
+            }
+            return;
+        }
+
+        // Handle show all tags button on post embeds
+        if (interaction.customId.startsWith('show_all_tags:')) {
+            try {
+                const fetchPost = require('./src/utils/fetchPost');
+                const postId = interaction.customId.split(':')[1];
+                const { embeds } = await fetchPost.getPostTags(postId);
+
+                await interaction.reply({ embeds, flags: MessageFlags.Ephemeral });
+            } catch (error) {
+                console.error('Error handling show all tags button:', error);
+                if (!interaction.replied && !interaction.deferred) {
+                    await interaction.reply({
+                        content: '❌ An error occurred while loading the tags.',
+                        flags: MessageFlags.Ephemeral
+                    });
+                }
+            }
+            return;
+        }
+
         // Handle copy knowledge base text button
         if (interaction.customId.startsWith('copy_kb_text:')) {
             try {
@@ -332,6 +403,27 @@ client.on(Events.InteractionCreate, async interaction => {
             return;
         }
 
+        // Handle accept options modal
+        if (interaction.customId.startsWith('accept_modal:')) {
+            const handleDecline = require('./src/utils/handleDecline');
+
+            try {
+                // Immediately disable buttons on the request message (fire and forget)
+                disableButtonsOnMessage(interaction);
+
+                await handleDecline.processAccept(interaction, client);
+            } catch (error) {
+                console.error('Error processing accept modal:', error);
+                if (!interaction.replied && !interaction.deferred) {
+                    await interaction.reply({
+                        content: '❌ An error occurred while processing your accept request.',
+                        flags: MessageFlags.Ephemeral
+                    });
+                }
+            }
+            return;
+        }
+
         // Handle knowledge base add modal
         if (interaction.customId === 'kb_add_modal') {
             try {
@@ -410,5 +502,13 @@ setInterval(() => {
     linkListener.cleanup();
 }, 3600000); // 1 hour cleanup interval
 
+// Release replacement request claims that have timed out
+setInterval(() => {
+    const handleDecline = require('./src/utils/handleDecline');
+    handleDecline.releaseExpiredClaims(client).catch(error => {
+        console.error('Error releasing expired claims:', error);
+    });
+}, 60000); // 1 minute check interval
+
 // Log in to Discord with your client's token
 client.login(process.env.BOT_TOKEN);
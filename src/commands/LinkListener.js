@@ -1,5 +1,15 @@
 const fetchPost = require('../utils/fetchPost');
+const fetchPool = require('../utils/fetchPool');
+const fetchUser = require('../utils/fetchUser');
+const fetchWiki = require('../utils/fetchWiki');
+const api = require('../utils/api');
 const database = require('../utils/database');
+const embedBuilder = require('../utils/embedBuilder');
+const { getChannelUploadLimit } = require('../utils/discordRetry');
+const config = require('../../config.json');
+
+// An e6AI address with or without the scheme and "www.", but not another domain ending in e6ai.net
+const E6AI_HOST = String.raw`(?<![\w.-])(?:https?:\/\/)?(?:www\.)?e6ai\.net`;
 
 class LinkListener {
   constructor() {
@@ -12,42 +22,218 @@ class LinkListener {
     this.processedMessages.add(message.id);
 
     // Check if link listening is enabled for this channel
-    if (!database.isLinkListenerEnabled(message.channel.id)) return;
-
-    // Extract e6AI post IDs from message
-    const postIds = this.extractPostIds(message.content);
-    
-    if (postIds.length === 0) return;
-    
-    try {
-      // Process each post ID
-      for (const postId of postIds) {
-        console.log(`Processing post ${postId} from LinkListener...`);
-        
-        // Use the new API
-        const result = await fetchPost.getPost(postId);
-        
-        console.log(`Found post ${postId}: ${result.post.id}`);
-        
-        // Send the embed with the built-in "Visit post" button
-        // Use content instead of embeds to ensure buttons appear properly
-        const content = result.shouldSpoiler ? `|| ${result.post.file.url} ||` : null;
-        
-        await message.channel.send({
-          content: content,
+    const settings = database.getLinkListenerSettings(message.channel.id);
+    if (!settings.enabled) return;
+
+    // Extract the kinds of e6AI references this channel expands from the message,
+    // leaving out anything the author put in code or behind a spoiler, and looking up
+    // no more file links than the channel's cap could expand
+    const searchableContent = this.stripIgnoredContent(message.content);
+    const postIds = settings.expandPosts
+      ? await this.resolvePostIds(searchableContent, { shortReferences: settings.shortReferences, limit: settings.maxPosts })
+      : [];
+    const poolIds = settings.expandPools ? this.extractPoolIds(searchableContent) : [];
+    const userIds = settings.expandUsers ? this.extractUserIds(searchableContent) : [];
+    const wikiTitles = settings.expandWiki ? this.extractWikiTitles(searchableContent) : [];
+
+    const links = [
+      ...postIds.map(id => ({ kind: 'post', id })),
+      ...poolIds.map(id => ({ kind: 'pool', id })),
+      ...userIds.map(id => ({ kind: 'user', id })),
+      ...wikiTitles.map(id => ({ kind: 'wiki page', id }))
+    ];
+
+    // Every kind of link counts toward the channel's cap, one failed link doesn't stop the rest
+    let expandedCount = 0;
+    for (const link of links) {
+      if (expandedCount >= settings.maxPosts) break;
+
+      try {
+        console.log(`Processing ${link.kind} ${link.id} from LinkListener...`);
+        const reply = await this.buildExpansion(link, settings, message.channel);
+        if (!reply) continue;
+
+        await message.channel.send(reply);
+        expandedCount++;
+      } catch (error) {
+        console.error(`Error expanding e6AI ${link.kind} ${link.id}:`, error.message);
+      }
+    }
+
+    // Hide Discord's own link previews once ours are shown
+    if (expandedCount > 0 && settings.suppressEmbeds) {
+      try {
+        await message.suppressEmbeds(true);
+      } catch (error) {
+        console.error('Could not suppress embeds (the bot needs Manage Messages):', error.message);
+      }
+    }
+  }
+
+  async buildExpansion(link, settings, channel) {
+    switch (link.kind) {
+      case 'post': {
+        const result = await fetchPost.getPost(link.id, {
+          embedOptions: {
+            includeDescription: settings.includeDescriptions,
+            includeTags: !settings.compactEmbeds,
+            compact: settings.compactEmbeds
+          }
+        });
+
+        // Posts above the ceiling are skipped without counting toward the cap
+        if (!this.isWithinRatingCeiling(result.post.rating, settings.ratingCeiling)) {
+          console.log(`Skipping post ${link.id}: rating ${result.post.rating} is above the channel's ceiling`);
+          return null;
+        }
+
+        // Optionally attach videos so they play inline, spoilered posts keep their spoiler link
+        const videoAttachment = config.linkListener?.attachVideos && !result.shouldSpoiler
+          ? embedBuilder.getVideoAttachment(result.post, getChannelUploadLimit(channel))
+          : null;
+
+        return {
+          content: result.shouldSpoiler ? `|| ${result.post.file.url} ||` : null,
           embeds: [result.embed],
-          files: [],
+          files: videoAttachment ? [videoAttachment] : [],
           components: result.components || []
-        });
+        };
+      }
+
+      case 'pool': {
+        const result = await fetchPool.getPool(link.id);
+
+        // A cover above the ceiling is left out, the pool itself is still shown
+        const hideCover = result.coverPost && !this.isWithinRatingCeiling(result.coverPost.rating, settings.ratingCeiling);
+        if (hideCover) {
+          console.log(`Hiding the cover of pool ${link.id}: rating ${result.coverPost.rating} is above the channel's ceiling`);
+        }
+        const { embed, shouldSpoiler, components } = hideCover ? embedBuilder.createPoolEmbed(result.pool, null) : result;
+
+        return {
+          content: shouldSpoiler ? `|| ${result.coverPost.file.url} ||` : null,
+          embeds: [embed],
+          components: components || []
+        };
+      }
+
+      case 'user': {
+        const result = await fetchUser.getUser(link.id);
+
+        // An avatar above the ceiling is left out, the profile itself is still shown
+        const hideAvatar = result.avatarPost && !this.isWithinRatingCeiling(result.avatarPost.rating, settings.ratingCeiling);
+        if (hideAvatar) {
+          console.log(`Hiding the avatar of user ${link.id}: rating ${result.avatarPost.rating} is above the channel's ceiling`);
+        }
+        const { embed, components } = hideAvatar ? embedBuilder.createUserEmbed(result.user, null) : result;
+
+        return {
+          embeds: [embed],
+          components: components || []
+        };
+      }
+
+      default: {
+        const result = await fetchWiki.getWikiPage(link.id);
+        return {
+          embeds: [result.embed],
+          components: result.components || []
+        };
       }
-    } catch (error) {
-      console.error('Error processing e6AI links:', error);
     }
   }
+
+  isWithinRatingCeiling(rating, ceiling) {
+    // Ratings from least to most explicit
+    const ratings = ['s', 'q', 'e'];
+    return ratings.indexOf(rating?.toLowerCase()) <= ratings.indexOf(ceiling);
+  }
   
-  extractPostIds(content) {
-    // Extract post IDs from e6AI URLs
-    const regex = /https?:\/\/e6ai\.net\/posts\/(\d+)/gi;
+  stripIgnoredContent(content) {
+    // Remove code blocks, inline code and spoilers, links in them aren't meant to be expanded
+    return content
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/`[^`]*`/g, ' ')
+      .replace(/\|\|[\s\S]*?\|\|/g, ' ');
+  }
+
+  async resolvePostIds(content, options = {}) {
+    const { shortReferences = false, limit = Infinity } = options;
+
+    const postIds = this.extractPostIds(content, { shortReferences });
+
+    // File URLs and md5 searches only name the file, so look up which post it belongs to
+    for (const md5 of this.extractPostMd5s(content)) {
+      if (postIds.length >= limit) break;
+      try {
+        const post = await api.findPostByMd5(md5);
+        if (post && !postIds.includes(post.id.toString())) {
+          postIds.push(post.id.toString());
+        }
+      } catch (error) {
+        console.error(`Error looking up post with md5 ${md5}:`, error.message);
+      }
+    }
+
+    return postIds.slice(0, limit);
+  }
+
+  extractPostIds(content, options = {}) {
+    const { shortReferences = false } = options;
+
+    // Extract post IDs from e6AI URLs, with or without the scheme and with any query string
+    const regex = new RegExp(String.raw`${E6AI_HOST}\/posts\/(\d+)`, 'gi');
+    const ids = [...content.matchAll(regex)].map(m => m[1]);
+
+    // Channels can opt into "post #123" and "e6ai #123" references
+    if (shortReferences) {
+      const shortRegex = /\b(?:post|e6ai) #(\d+)\b/gi;
+      ids.push(...[...content.matchAll(shortRegex)].map(m => m[1]));
+    }
+
+    return [...new Set(ids)]; // Return unique IDs
+  }
+
+  extractPostMd5s(content) {
+    // Extract file md5s from static file URLs (original, sample or preview) and /posts?md5= searches
+    const fileRegex = /(?:https?:\/\/)?static\d*\.e6ai\.net\/data\/(?:sample\/|preview\/)?[0-9a-f]{2}\/[0-9a-f]{2}\/([0-9a-f]{32})\.\w+/gi;
+    const searchRegex = new RegExp(String.raw`${E6AI_HOST}\/posts\?(?:[^\s#>]*&)?md5=([0-9a-f]{32})\b`, 'gi');
+    const matches = [...content.matchAll(fileRegex), ...content.matchAll(searchRegex)];
+    return [...new Set(matches.map(m => m[1].toLowerCase()))]; // Return unique md5s
+  }
+
+  extractUserIds(content) {
+    // Extract user IDs or names from e6AI profile URLs
+    const regex = new RegExp(String.raw`${E6AI_HOST}\/users\/([^\s/?#>]+)`, 'gi');
+    const matches = [...content.matchAll(regex)];
+    const names = matches.map(m => {
+      try {
+        return decodeURIComponent(m[1]);
+      } catch (error) {
+        return m[1]; // Malformed escape, use the name as written
+      }
+    });
+    return [...new Set(names)]; // Return unique IDs
+  }
+
+  extractWikiTitles(content) {
+    // Extract wiki page titles or IDs from e6AI URLs, including show_or_new?title= links
+    const regex = new RegExp(String.raw`${E6AI_HOST}\/wiki_pages\/(?:show_or_new\?title=([^\s&#>]+)|([^\s/?#>]+))`, 'gi');
+    const matches = [...content.matchAll(regex)];
+    const titles = matches.map(m => {
+      const title = (m[1] || m[2]).replace(/\+/g, ' ');
+      try {
+        return decodeURIComponent(title).toLowerCase();
+      } catch (error) {
+        return title.toLowerCase(); // Malformed escape, use the title as written
+      }
+    });
+    return [...new Set(titles)]; // Return unique titles
+  }
+
+  extractPoolIds(content) {
+    // Extract pool IDs from e6AI URLs
+    const regex = new RegExp(String.raw`${E6AI_HOST}\/pools\/(\d+)`, 'gi');
     const matches = [...content.matchAll(regex)];
     return [...new Set(matches.map(m => m[1]))]; // Return unique IDs
   }
@@ -1,16 +1,99 @@
-const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const database = require('../utils/database');
 require('dotenv').config();
 
+const RATING_NAMES = {
+    s: '✅ Safe',
+    q: '⚠️ Questionable',
+    e: '🔞 Explicit'
+};
+
+/**
+ * Build the settings view for a channel
+ * @param {Object} channel - The configured channel
+ * @param {Object} settings - Settings from database.getLinkListenerSettings
+ * @returns {EmbedBuilder} The settings embed
+ */
+function createSettingsEmbed(channel, settings) {
+    const onOff = value => (value ? '✅ On' : '❌ Off');
+    const linkTypes = [
+        ['Posts', settings.expandPosts],
+        ['Pools', settings.expandPools],
+        ['Users', settings.expandUsers],
+        ['Wiki', settings.expandWiki]
+    ].map(([name, enabled]) => `${enabled ? '✅' : '❌'} ${name}`).join('\n');
+
+    return new EmbedBuilder()
+        .setTitle('Link Listener Settings')
+        .setDescription(`Settings for ${channel}`)
+        .setColor(settings.enabled ? 0x00ff00 : 0x808080)
+        .addFields(
+            { name: 'Status', value: settings.enabled ? '✅ Enabled' : '❌ Disabled', inline: true },
+            { name: 'Expands', value: linkTypes, inline: true },
+            { name: 'Rating Ceiling', value: RATING_NAMES[settings.ratingCeiling] || settings.ratingCeiling, inline: true },
+            { name: 'Descriptions', value: onOff(settings.includeDescriptions), inline: true },
+            { name: 'Compact Embeds', value: onOff(settings.compactEmbeds), inline: true },
+            { name: 'Max Links per Message', value: settings.maxPosts.toString(), inline: true },
+            { name: 'Suppress Original Embeds', value: onOff(settings.suppressEmbeds), inline: true },
+            { name: 'Short References', value: onOff(settings.shortReferences), inline: true }
+        )
+        .setFooter({ text: 'Change settings with /linklisten configure' });
+}
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('linklisten')
-        .setDescription('Toggle link listening for a channel (Owner only)')
-        .addChannelOption(option =>
-            option.setName('channel')
-                .setDescription('The channel to toggle link listening for')
-                .setRequired(true)
-        ),
+        .setDescription('Manage link listening for a channel (Owner only)')
+        .addSubcommand(subcommand =>
+            subcommand.setName('toggle')
+                .setDescription('Toggle link listening for a channel')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('The channel to toggle link listening for')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('configure')
+                .setDescription('View or change the link listener settings of a channel')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('The channel to configure (default: this channel)'))
+                .addBooleanOption(option =>
+                    option.setName('posts')
+                        .setDescription('Expand post links'))
+                .addBooleanOption(option =>
+                    option.setName('pools')
+                        .setDescription('Expand pool links'))
+                .addBooleanOption(option =>
+                    option.setName('users')
+                        .setDescription('Expand user profile links'))
+                .addBooleanOption(option =>
+                    option.setName('wiki')
+                        .setDescription('Expand wiki page links'))
+                .addBooleanOption(option =>
+                    option.setName('descriptions')
+                        .setDescription('Include post descriptions'))
+                .addBooleanOption(option =>
+                    option.setName('compact')
+                        .setDescription('Use compact post embeds with a thumbnail and no tags'))
+                .addIntegerOption(option =>
+                    option.setName('max_posts')
+                        .setDescription('Maximum number of links (posts, pools, users, wiki pages) to expand from one message')
+                        .setMinValue(1)
+                        .setMaxValue(10))
+                .addBooleanOption(option =>
+                    option.setName('suppress_embeds')
+                        .setDescription('Hide the original Discord link preview (needs Manage Messages)'))
+                .addStringOption(option =>
+                    option.setName('rating_ceiling')
+                        .setDescription('Most explicit rating to expand')
+                        .addChoices(
+                            { name: 'Safe', value: 's' },
+                            { name: 'Questionable', value: 'q' },
+                            { name: 'Explicit', value: 'e' }
+                        ))
+                .addBooleanOption(option =>
+                    option.setName('short_references')
+                        .setDescription('Expand "post #123" and "e6ai #123" references'))),
 
     async execute(interaction) {
         // Check if user is the bot owner
@@ -21,6 +104,10 @@ module.exports = {
             });
         }
 
+        if (interaction.options.getSubcommand() === 'configure') {
+            return handleConfigure(interaction);
+        }
+
         const channel = interaction.options.getChannel('channel');
 
         // Toggle the link listener for the channel
@@ -40,3 +127,50 @@ module.exports = {
         });
     }
 };
+
+/**
+ * Handle the configure subcommand: apply any given options, then show the settings
+ * @param {Object} interaction - The Discord interaction
+ */
+async function handleConfigure(interaction) {
+    const channel = interaction.options.getChannel('channel') || interaction.channel;
+    const changes = {
+        expandPosts: interaction.options.getBoolean('posts'),
+        expandPools: interaction.options.getBoolean('pools'),
+        expandUsers: interaction.options.getBoolean('users'),
+        expandWiki: interaction.options.getBoolean('wiki'),
+        includeDescriptions: interaction.options.getBoolean('descriptions'),
+        compactEmbeds: interaction.options.getBoolean('compact'),
+        maxPosts: interaction.options.getInteger('max_posts'),
+        suppressEmbeds: interaction.options.getBoolean('suppress_embeds'),
+        ratingCeiling: interaction.options.getString('rating_ceiling'),
+        shortReferences: interaction.options.getBoolean('short_references')
+    };
+    const hasChanges = Object.values(changes).some(value => value !== null);
+
+    let settings;
+    if (hasChanges) {
+        const result = database.updateLinkListenerSettings(channel.id, changes);
+        if (!result.success) {
+            return interaction.reply({
+                content: `❌ Error updating link listener settings: ${result.error}`,
+                ephemeral: true
+            });
+        }
+        settings = result.settings;
+    } else {
+        settings = database.getLinkListenerSettings(channel.id);
+    }
+
+    let content = hasChanges ? `✅ Link listener settings updated for ${channel}.` : null;
+    if (!settings.enabled) {
+        const note = `Link listening is disabled for ${channel}, enable it with \`/linklisten toggle\`.`;
+        content = content ? `${content}\n${note}` : note;
+    }
+
+    return interaction.reply({
+        content,
+        embeds: [createSettingsEmbed(channel, settings)],
+        ephemeral: true
+    });
+}
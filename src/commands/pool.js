@@ -0,0 +1,163 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const fetchPool = require('../utils/fetchPool');
+const fetchPost = require('../utils/fetchPost');
+const embedBuilder = require('../utils/embedBuilder');
+const config = require('../../config.json');
+
+// How long the page buttons stay active after the last click
+const POOL_IDLE_MS = 10 * 60 * 1000;
+
+/**
+ * Build the message payload for one page of a pool. Page 0 is the pool
+ * overview, pages 1 to N are the pool's posts in order.
+ * @param {Object} poolResult - Result of fetchPool.getPool
+ * @param {number} page - The page to show
+ * @param {Object} channel - The channel the pool is shown in, for NSFW gating
+ * @param {boolean} active - Whether the page buttons are enabled
+ * @returns {Promise<Object>} Message payload
+ */
+const buildPoolPage = async (poolResult, page, channel, active = true) => {
+  const { pool } = poolResult;
+  const postIds = pool.post_ids || [];
+  const poolName = pool.name.replace(/_/g, ' ');
+
+  let payload;
+  if (page === 0) {
+    payload = {
+      content: poolResult.shouldSpoiler ? `|| ${poolResult.coverPost.file.url} ||` : '',
+      embeds: [poolResult.embed],
+      components: [...(poolResult.components || [])]
+    };
+  } else {
+    const postId = postIds[page - 1];
+    let embed;
+    let content = '';
+    let components = [];
+
+    try {
+      const result = await fetchPost.getPost(postId);
+      if (embedBuilder.isPostAllowedInChannel(result.post, channel)) {
+        embed = result.embed;
+        content = result.shouldSpoiler ? `|| ${result.post.file.url} ||` : '';
+        components = result.components || [];
+      } else {
+        embed = new EmbedBuilder()
+          .setTitle(`Post #${postId}`)
+          .setURL(`${config.devmode ? 'http://localhost:3001' : 'https://e6ai.net'}/posts/${postId}`)
+          .setDescription('🔞 This post is explicit and can only be shown in NSFW channels.')
+          .setColor('#ff0000');
+      }
+    } catch (error) {
+      console.error(`Error fetching post ${postId} for pool ${pool.id}:`, error.message);
+      embed = new EmbedBuilder()
+        .setTitle(`Post #${postId}`)
+        .setDescription(`❌ ${error.message}`)
+        .setColor('#ff0000');
+    }
+
+    embed.setFooter({ text: `${poolName} • Post ${page} of ${postIds.length}`.substring(0, 2048) });
+    payload = { content, embeds: [embed], components: [...components] };
+  }
+
+  const navigationRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('pool_prev')
+      .setLabel('Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('◀️')
+      .setDisabled(!active || page === 0),
+    new ButtonBuilder()
+      .setCustomId('pool_next')
+      .setLabel(page === 0 ? 'Start reading' : 'Next')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('▶️')
+      .setDisabled(!active || page >= postIds.length)
+  );
+
+  payload.components.push(navigationRow);
+  return payload;
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('pool')
+    .setDescription('View an e6AI pool by ID or URL and page through its posts')
+    .addStringOption(option =>
+      option.setName('pool')
+        .setDescription('The pool ID or e6AI URL')
+        .setRequired(true)),
+
+  async execute(interaction) {
+    const input = interaction.options.getString('pool');
+    let poolId = input;
+
+    // Extract ID from URL if provided
+    if (input.startsWith('http')) {
+      const match = input.match(/\/pools\/(\d+)/);
+      if (!match) {
+        return interaction.reply({ content: '❌ Invalid e6AI pool URL format', ephemeral: true });
+      }
+      poolId = match[1];
+    }
+
+    // Validate poolId is numeric
+    if (!/^\d+$/.test(poolId)) {
+      return interaction.reply({ content: '❌ Pool ID must be a number', ephemeral: true });
+    }
+
+    await interaction.deferReply();
+
+    let poolResult;
+    try {
+      poolResult = await fetchPool.getPool(poolId, {
+        showExplicit: embedBuilder.isNsfwChannel(interaction.channel)
+      });
+    } catch (error) {
+      console.error('Error in /pool command:', error);
+      return interaction.editReply(`❌ Error fetching pool ${poolId}: ${error.message}`);
+    }
+
+    let page = 0;
+    const message = await interaction.editReply(await buildPoolPage(poolResult, page, interaction.channel));
+
+    if (!poolResult.pool.post_ids?.length) {
+      return;
+    }
+
+    // Only handle the page buttons, other buttons on the post are routed globally
+    const collector = message.createMessageComponentCollector({
+      filter: (buttonInteraction) => buttonInteraction.customId.startsWith('pool_'),
+      idle: POOL_IDLE_MS
+    });
+
+    collector.on('collect', async (buttonInteraction) => {
+      if (buttonInteraction.user.id !== interaction.user.id) {
+        await buttonInteraction.reply({ content: 'These buttons are not for you.', ephemeral: true });
+        return;
+      }
+
+      await buttonInteraction.deferUpdate();
+
+      const lastPage = poolResult.pool.post_ids.length;
+      if (buttonInteraction.customId === 'pool_prev') {
+        page = Math.max(0, page - 1);
+      } else if (buttonInteraction.customId === 'pool_next') {
+        page = Math.min(lastPage, page + 1);
+      }
+
+      try {
+        await interaction.editReply(await buildPoolPage(poolResult, page, interaction.channel));
+      } catch (error) {
+        console.error('Error updating pool page:', error);
+      }
+    });
+
+    collector.on('end', async () => {
+      try {
+        await interaction.editReply(await buildPoolPage(poolResult, page, interaction.channel, false));
+      } catch (error) {
+        console.error('Error disabling pool buttons:', error);
+      }
+    });
+  },
+};
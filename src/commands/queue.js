@@ -0,0 +1,161 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
+const config = require('../../config.json');
+const database = require('../utils/database');
+const { formatStatus } = require('../utils/requestLifecycle');
+const { formatAge } = require('../utils/timestamps');
+
+const { DiscordIDs = [] } = config;
+
+const PAGE_SIZE = 5;
+
+/**
+ * Build a jump link to the request message, if it is still known
+ * @param {Object} client - The Discord client
+ * @param {Object} request - Replacement request row
+ * @returns {Promise<string|null>} Message URL or null
+ */
+const getJumpLink = async (client, request) => {
+    if (!request.channel_id || !request.main_message_id) {
+        return null;
+    }
+
+    try {
+        const channel = await client.channels.fetch(request.channel_id);
+        return `https://discord.com/channels/${channel.guildId || '@me'}/${request.channel_id}/${request.main_message_id}`;
+    } catch (error) {
+        console.warn(`Could not fetch channel ${request.channel_id} for queue link:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Build one page of the replacement request queue
+ * @param {Object} client - The Discord client
+ * @param {number} page - Zero-based page number
+ * @param {Object} filters - Queue filters
+ * @param {string} [filters.requesterId] - Only show requests from this user
+ * @param {number} [filters.minAgeHours] - Only show requests at least this old
+ * @returns {Promise<{embeds: Array, components: Array}|{error: string}>} Message payload or error
+ */
+const buildQueuePage = async (client, page, filters = {}) => {
+    const countResult = database.listActiveReplacementRequests(filters, 0, 0);
+    if (!countResult.success) {
+        return { error: countResult.error };
+    }
+
+    const totalPages = Math.max(1, Math.ceil(countResult.total / PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+
+    const result = database.listActiveReplacementRequests(filters, PAGE_SIZE, currentPage * PAGE_SIZE);
+    if (!result.success) {
+        return { error: result.error };
+    }
+
+    const filterText = [
+        filters.requesterId ? `requested by <@${filters.requesterId}>` : null,
+        filters.minAgeHours ? `older than ${filters.minAgeHours}h` : null
+    ].filter(Boolean).join(', ');
+
+    const embed = new EmbedBuilder()
+        .setColor(0xff9900)
+        .setTitle('📋 Pending Replacement Requests')
+        .setDescription(result.total === 0
+            ? 'There are no pending replacement requests.'
+            : `${result.total} pending request${result.total === 1 ? '' : 's'}${filterText ? ` (${filterText})` : ''}, oldest first.`)
+        .setFooter({ text: `Page ${currentPage + 1} of ${totalPages}` })
+        .setTimestamp();
+
+    for (const request of result.requests) {
+        const jumpLink = await getJumpLink(client, request);
+        const reason = request.reason.replace(/\n+/g, ' ');
+        const excerpt = reason.length > 100 ? `${reason.substring(0, 97)}...` : reason;
+
+        embed.addFields({
+            name: `Post #${request.post_id} - ${formatStatus(request.status)}`,
+            value: [
+                `**Requested by:** <@${request.requester_id}> ${formatAge(request.created_at)}`,
+                `**Reason:** ${excerpt}`,
+                request.claimed_by ? `**Claimed by:** <@${request.claimed_by}>` : null,
+                jumpLink ? `[Jump to request](${jumpLink})` : '*Request message unavailable*'
+            ].filter(Boolean).join('\n'),
+            inline: false
+        });
+    }
+
+    // Filters are carried in the custom ID so the buttons keep working after a restart
+    const filterId = `${filters.requesterId || ''}:${filters.minAgeHours || ''}`;
+    const navigationRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`queue_page:${currentPage - 1}:${filterId}`)
+            .setLabel('Previous')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('◀️')
+            .setDisabled(currentPage === 0),
+        new ButtonBuilder()
+            .setCustomId(`queue_page:${currentPage + 1}:${filterId}`)
+            .setLabel('Next')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('▶️')
+            .setDisabled(currentPage >= totalPages - 1)
+    );
+
+    return { embeds: [embed], components: [navigationRow] };
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('queue')
+        .setDescription('Browse pending replacement requests (JANITOR ONLY)')
+        .addUserOption(option =>
+            option.setName('requester')
+                .setDescription('Only show requests from this user.')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('older_than')
+                .setDescription('Only show requests older than this many hours.')
+                .setMinValue(1)
+                .setRequired(false))
+        .setContexts([InteractionContextType.Guild, InteractionContextType.BotDM, InteractionContextType.PrivateChannel]),
+
+    async execute(interaction) {
+        if (DiscordIDs.length > 0 && !DiscordIDs.includes(interaction.user.id)) {
+            return interaction.reply({ content: 'You are not authorized to use this command.', flags: MessageFlags.Ephemeral });
+        }
+
+        const requester = interaction.options.getUser('requester');
+        const filters = {
+            requesterId: requester ? requester.id : null,
+            minAgeHours: interaction.options.getInteger('older_than')
+        };
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        const payload = await buildQueuePage(interaction.client, 0, filters);
+        if (payload.error) {
+            return interaction.editReply({ content: `❌ ${payload.error}` });
+        }
+
+        await interaction.editReply(payload);
+    },
+
+    /**
+     * Handle the previous/next buttons of a queue message
+     * @param {Object} interaction - The button interaction
+     */
+    async handlePageButton(interaction) {
+        const [, page, requesterId, minAgeHours] = interaction.customId.split(':');
+        const filters = {
+            requesterId: requesterId || null,
+            minAgeHours: minAgeHours ? Number(minAgeHours) : null
+        };
+
+        await interaction.deferUpdate();
+
+        const payload = await buildQueuePage(interaction.client, Number(page), filters);
+        if (payload.error) {
+            return interaction.followUp({ content: `❌ ${payload.error}`, flags: MessageFlags.Ephemeral });
+        }
+
+        await interaction.editReply(payload);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,106 @@
+const { SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const fetchPost = require('../utils/fetchPost');
+const embedBuilder = require('../utils/embedBuilder');
+
+// How long the reroll button stays active after the last click
+const REROLL_IDLE_MS = 5 * 60 * 1000;
+
+/**
+ * Build the message payload for a random post
+ * @param {Object} result - Result of fetchPost.getRandomPost
+ * @param {string} tags - The query, shown in the footer
+ * @param {boolean} active - Whether the reroll button is enabled
+ * @returns {Object} Message payload
+ */
+const buildRandomPage = (result, tags, active = true) => {
+  if (tags) {
+    result.embed.setFooter({ text: `Random result for: ${tags}`.substring(0, 2048) });
+  }
+
+  const rerollRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('random_reroll')
+      .setLabel('Reroll')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('🎲')
+      .setDisabled(!active)
+  );
+
+  return {
+    content: result.shouldSpoiler ? `|| ${result.post.file.url} ||` : '',
+    embeds: [result.embed],
+    components: [...(result.components || []), rerollRow]
+  };
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('random')
+    .setDescription('Show a random e6AI post')
+    .addStringOption(option =>
+      option.setName('tags')
+        .setDescription('Only pick from posts matching these tags (e.g. "wolf rating:s")')
+        .setRequired(false)),
+
+  async execute(interaction) {
+    const input = (interaction.options.getString('tags') || '').trim();
+
+    const query = embedBuilder.restrictTagsForChannel(input, interaction.channel);
+    if (query.refused) {
+      return interaction.reply({ content: '❌ Explicit posts can only be shown in NSFW channels.', ephemeral: true });
+    }
+
+    await interaction.deferReply();
+
+    let result;
+    try {
+      result = await fetchPost.getRandomPost(query.tags);
+    } catch (error) {
+      console.error('Error in /random command:', error);
+      return interaction.editReply(`❌ ${error.message}`);
+    }
+
+    if (!result || !embedBuilder.isPostAllowedInChannel(result.post, interaction.channel)) {
+      return interaction.editReply(input ? `No posts found for \`${input}\`.` : 'No posts found.');
+    }
+
+    const message = await interaction.editReply(buildRandomPage(result, input));
+
+    // Only handle the reroll button, other buttons on the post are routed globally
+    const collector = message.createMessageComponentCollector({
+      filter: (buttonInteraction) => buttonInteraction.customId === 'random_reroll',
+      idle: REROLL_IDLE_MS
+    });
+
+    collector.on('collect', async (buttonInteraction) => {
+      if (buttonInteraction.user.id !== interaction.user.id) {
+        await buttonInteraction.reply({ content: 'These buttons are not for you.', ephemeral: true });
+        return;
+      }
+
+      await buttonInteraction.deferUpdate();
+
+      try {
+        const rerolled = await fetchPost.getRandomPost(query.tags);
+        if (!rerolled || !embedBuilder.isPostAllowedInChannel(rerolled.post, interaction.channel)) {
+          await buttonInteraction.followUp({ content: 'No other post could be found.', ephemeral: true });
+          return;
+        }
+
+        result = rerolled;
+        await interaction.editReply(buildRandomPage(result, input));
+      } catch (error) {
+        console.error('Error rerolling random post:', error);
+        await buttonInteraction.followUp({ content: `❌ ${error.message}`, ephemeral: true });
+      }
+    });
+
+    collector.on('end', async () => {
+      try {
+        await interaction.editReply(buildRandomPage(result, input, false));
+      } catch (error) {
+        console.error('Error disabling reroll button:', error);
+      }
+    });
+  },
+};
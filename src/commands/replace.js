@@ -4,33 +4,336 @@ const packageJson = require('../../package.json');
 const replacePost = require('../utils/replacePost');
 const fetchPost = require('../utils/fetchPost');
 const api = require('../utils/api');
+const { delay } = require('../utils/discordRetry');
 
 const { DiscordIDs = [] } = config;
 
+// A Discord message holds at most 10 attachments, and the batch command has one image option per post
+const MAX_BATCH_SIZE = 10;
+// Pause between batch items so a batch doesn't hammer the e6AI API
+const BATCH_DELAY_MS = 2000;
+// How long the undelete buttons on a batch summary stay active
+const BATCH_UNDELETE_TIMEOUT_MS = 5 * 60 * 1000;
+
+const BATCH_STATUS_LABELS = {
+    replaced: '✅ Replaced',
+    deleted: '🗑️ Deleted - undelete to replace',
+    failed: '❌ Failed',
+    cancelled: '⏭️ Skipped'
+};
+
+/**
+ * Turn an error from the replacement process into a short message
+ * @param {Error} error - The error
+ * @returns {string} Message suitable for a summary line
+ */
+function describeBatchError(error) {
+    if (error.response) {
+        const details = error.response.data && (error.response.data.reason || error.response.data.message);
+        return `API Error: ${error.response.status}${details ? ` - ${details}` : ''}`;
+    }
+    return error.message;
+}
+
+/**
+ * Collect the attachments for a batch, either from the image options or from a linked message
+ * @param {Object} interaction - The command interaction
+ * @param {string|null} messageLink - Link to a message whose attachments should be used
+ * @returns {Promise<Array<Object>>} Attachments in the order they were given
+ * @throws {Error} If the linked message cannot be fetched
+ */
+async function collectBatchAttachments(interaction, messageLink) {
+    if (messageLink) {
+        const match = messageLink.match(/channels\/(?:\d+|@me)\/(\d+)\/(\d+)/);
+        if (!match) {
+            throw new Error('The message link is not a valid Discord message link.');
+        }
+
+        const channel = await interaction.client.channels.fetch(match[1]);
+        const message = await channel.messages.fetch(match[2]);
+        return [...message.attachments.values()];
+    }
+
+    const attachments = [];
+    for (let i = 1; i <= MAX_BATCH_SIZE; i++) {
+        const attachment = interaction.options.getAttachment(`image_${i}`);
+        if (attachment) {
+            attachments.push(attachment);
+        }
+    }
+    return attachments;
+}
+
+/**
+ * Build the summary embed for a batch replacement
+ * @param {Array<Object>} items - Batch items with their status
+ * @param {boolean} finished - Whether every item has been processed
+ * @returns {EmbedBuilder} The summary embed
+ */
+function buildBatchSummary(items, finished) {
+    const replacedCount = items.filter(item => item.status === 'replaced').length;
+    const failed = items.some(item => item.status === 'failed' || item.status === 'deleted');
+
+    const lines = items.map(item => {
+        const label = BATCH_STATUS_LABELS[item.status] || '⏳ Waiting';
+        return `[#${item.postId}](https://e6ai.net/posts/${item.postId}): ${label}${item.error ? ` - ${item.error}` : ''}`;
+    });
+
+    return new EmbedBuilder()
+        .setColor(!finished ? 0xff9900 : failed ? 0xff0000 : 0x00ff00)
+        .setTitle(finished ? 'Batch Replacement Finished' : 'Batch Replacement in Progress')
+        .setDescription(lines.join('\n').substring(0, 4096))
+        .setFooter({ text: `${replacedCount} of ${items.length} posts replaced` });
+}
+
+/**
+ * Build the undelete buttons for batch items whose post is deleted
+ * @param {Array<Object>} items - Batch items with their status
+ * @returns {Array<ActionRowBuilder>} Up to two rows of undelete buttons
+ */
+function buildBatchUndeleteRows(items) {
+    const buttons = items
+        .filter(item => item.status === 'deleted')
+        .map(item => new ButtonBuilder()
+            .setCustomId(`batch_undelete:${item.postId}`)
+            .setLabel(`Undelete #${item.postId}`)
+            .setStyle(ButtonStyle.Success));
+
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+    }
+    return rows;
+}
+
+/**
+ * Replace the file of a single batch item and record the outcome on it
+ * @param {Object} item - The batch item
+ * @param {string} reason - The replacement reason
+ * @param {boolean} asPending - Whether to submit the replacement as pending
+ */
+async function replaceBatchItem(item, reason, asPending) {
+    try {
+        const result = await replacePost.processReplacement(item.postId, item.attachment, reason, { asPending });
+        if (!result.success) {
+            throw new Error(result.error || 'Replacement failed');
+        }
+        item.status = 'replaced';
+        item.error = null;
+    } catch (error) {
+        console.error(`Batch replacement of post ${item.postId} failed:`, error);
+        item.status = 'failed';
+        item.error = describeBatchError(error);
+    }
+}
+
+/**
+ * Replace several posts from one command, reporting a per-post summary
+ * @param {Object} interaction - The command interaction
+ */
+async function handleBatch(interaction) {
+    const postIds = interaction.options.getString('post_ids').split(/[\s,]+/).filter(Boolean);
+    const reason = interaction.options.getString('reason');
+    const messageLink = interaction.options.getString('message_link');
+    const asPending = interaction.options.getBoolean('as_pending') ?? false;
+
+    if (postIds.some(postId => !/^\d+$/.test(postId))) {
+        await interaction.reply({ content: '❌ Post IDs must be numbers separated by spaces or commas.', ephemeral: true });
+        return;
+    }
+    if (new Set(postIds).size !== postIds.length) {
+        await interaction.reply({ content: '❌ Each post can only appear once in a batch.', ephemeral: true });
+        return;
+    }
+    if (postIds.length > MAX_BATCH_SIZE) {
+        await interaction.reply({ content: `❌ A batch can replace at most ${MAX_BATCH_SIZE} posts.`, ephemeral: true });
+        return;
+    }
+
+    await interaction.deferReply();
+
+    let attachments;
+    try {
+        attachments = await collectBatchAttachments(interaction, messageLink);
+    } catch (error) {
+        console.error('Error collecting batch attachments:', error);
+        await interaction.editReply({ content: `❌ Could not read the attachments: ${error.message}` });
+        return;
+    }
+
+    if (attachments.length !== postIds.length) {
+        await interaction.editReply({
+            content: `❌ ${postIds.length} post IDs were given but ${attachments.length} files were found. Each post needs exactly one file, in the same order.`
+        });
+        return;
+    }
+
+    const items = postIds.map((postId, index) => ({
+        postId,
+        attachment: attachments[index],
+        status: null,
+        error: null
+    }));
+
+    await interaction.editReply({ embeds: [buildBatchSummary(items, false)] });
+
+    for (const [index, item] of items.entries()) {
+        if (index > 0) {
+            await delay(BATCH_DELAY_MS);
+        }
+
+        try {
+            // Deleted posts are skipped and offered for undeletion once the batch is done
+            const postResult = await api.fetchPostData(item.postId);
+            const post = api.extractPostFromResponse(item.postId, postResult);
+            if (post.flags && post.flags.deleted) {
+                item.status = 'deleted';
+            } else {
+                await replaceBatchItem(item, reason, asPending);
+            }
+        } catch (error) {
+            console.error(`Error checking post ${item.postId} for batch replacement:`, error);
+            item.status = 'failed';
+            item.error = describeBatchError(error);
+        }
+
+        await interaction.editReply({ embeds: [buildBatchSummary(items, false)] });
+    }
+
+    const summaryMessage = await interaction.editReply({
+        embeds: [buildBatchSummary(items, true)],
+        components: buildBatchUndeleteRows(items)
+    });
+
+    if (!items.some(item => item.status === 'deleted')) {
+        return;
+    }
+
+    const collector = summaryMessage.createMessageComponentCollector({
+        time: BATCH_UNDELETE_TIMEOUT_MS
+    });
+
+    collector.on('collect', async (buttonInteraction) => {
+        if (buttonInteraction.user.id !== interaction.user.id) {
+            await buttonInteraction.reply({
+                content: 'These buttons are not for you.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const postId = buttonInteraction.customId.split(':')[1];
+        const item = items.find(entry => entry.postId === postId && entry.status === 'deleted');
+        if (!item) {
+            await buttonInteraction.deferUpdate();
+            return;
+        }
+
+        // Mark the item as in progress so a double click can't start a second replacement
+        item.status = null;
+        await buttonInteraction.update({
+            embeds: [buildBatchSummary(items, false)],
+            components: buildBatchUndeleteRows(items)
+        });
+
+        try {
+            const undeleteResult = await replacePost.handlePostUndeletion(postId);
+            if (!undeleteResult.success) {
+                throw new Error(undeleteResult.error || 'Failed to undelete post');
+            }
+
+            // Wait a moment for the undeletion to process
+            await delay(2000);
+
+            await replaceBatchItem(item, reason, asPending);
+        } catch (error) {
+            console.error(`Error undeleting post ${postId}:`, error);
+            item.status = 'failed';
+            item.error = `Undelete failed: ${describeBatchError(error)}`;
+        }
+
+        const remaining = items.some(entry => entry.status === 'deleted');
+        await interaction.editReply({
+            embeds: [buildBatchSummary(items, true)],
+            components: buildBatchUndeleteRows(items)
+        });
+        if (!remaining) {
+            collector.stop('done');
+        }
+    });
+
+    collector.on('end', async (collected, endReason) => {
+        if (endReason !== 'time') {
+            return;
+        }
+        for (const item of items) {
+            if (item.status === 'deleted') {
+                item.status = 'cancelled';
+                item.error = 'Undelete not confirmed in time';
+            }
+        }
+        try {
+            await interaction.editReply({ embeds: [buildBatchSummary(items, true)], components: [] });
+        } catch (error) {
+            console.error('Error updating timed out batch summary:', error);
+        }
+    });
+}
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('replace')
-        .setDescription('Replaces an image for a given post ID (JANITOR ONLY)')
-        .addStringOption(option =>
-            option.setName('post_id')
-                .setDescription('The ID of the post to replace.')
-                .setRequired(true))
-        .addAttachmentOption(option =>
-            option.setName('image')
-                .setDescription('The new image or video to upload.')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('reason')
-                .setDescription('The reason for the replacement (min 5 characters).')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('source')
-                .setDescription('The new source URL for the post.')
-                .setRequired(false))
-        .addBooleanOption(option =>
-            option.setName('as_pending')
-                .setDescription('Submit the replacement as pending. (Default: false)')
-                .setRequired(false))
+        .setDescription('Replaces images for posts (JANITOR ONLY)')
+        .addSubcommand(subcommand =>
+            subcommand.setName('single')
+                .setDescription('Replace the image of one post.')
+                .addStringOption(option =>
+                    option.setName('post_id')
+                        .setDescription('The ID of the post to replace.')
+                        .setRequired(true))
+                .addAttachmentOption(option =>
+                    option.setName('image')
+                        .setDescription('The new image or video to upload.')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('The reason for the replacement (min 5 characters).')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('source')
+                        .setDescription('The new source URL for the post.')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('as_pending')
+                        .setDescription('Submit the replacement as pending. (Default: false)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand => {
+            subcommand.setName('batch')
+                .setDescription(`Replace up to ${MAX_BATCH_SIZE} posts with one reason.`)
+                .addStringOption(option =>
+                    option.setName('post_ids')
+                        .setDescription('Post IDs separated by spaces or commas, in the same order as the files.')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('The reason for the replacements (min 5 characters).')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('message_link')
+                        .setDescription('Link to a message whose attachments should be used instead of the image options.')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('as_pending')
+                        .setDescription('Submit the replacements as pending. (Default: false)')
+                        .setRequired(false));
+            for (let i = 1; i <= MAX_BATCH_SIZE; i++) {
+                subcommand.addAttachmentOption(option =>
+                    option.setName(`image_${i}`)
+                        .setDescription(`The new image or video for post ${i}.`)
+                        .setRequired(false));
+            }
+            return subcommand;
+        })
         .setContexts([InteractionContextType.Guild, InteractionContextType.BotDM, InteractionContextType.PrivateChannel]),
 
     async execute(interaction) {
@@ -40,6 +343,11 @@ module.exports = {
             return;
         }
 
+        if (interaction.options.getSubcommand() === 'batch') {
+            await handleBatch(interaction);
+            return;
+        }
+
         const postId = interaction.options.getString('post_id');
         const imageAttachment = interaction.options.getAttachment('image');
         const reason = interaction.options.getString('reason');
@@ -0,0 +1,81 @@
+const { SlashCommandBuilder, EmbedBuilder, InteractionContextType, MessageFlags } = require('discord.js');
+const config = require('../../config.json');
+const database = require('../utils/database');
+const { formatStatus } = require('../utils/requestLifecycle');
+const { formatTimestamp } = require('../utils/timestamps');
+
+const { DiscordIDs = [] } = config;
+
+/**
+ * Build the timeline text for a single request
+ * @param {Object} request - Replacement request row with its history
+ * @returns {string} Timeline lines, truncated to fit an embed field
+ */
+const formatTimeline = (request) => {
+    const lines = request.history.map(entry => {
+        let line = `${formatTimestamp(entry.created_at)} ${formatStatus(entry.to_status)}`;
+        if (entry.actor_id) {
+            line += ` by <@${entry.actor_id}>`;
+        }
+        if (entry.note) {
+            line += `\n> ${entry.note.replace(/\n+/g, ' ').substring(0, 200)}`;
+        }
+        return line;
+    });
+
+    const reason = request.reason.replace(/\n+/g, ' ').substring(0, 200);
+    const timeline = [`**Reason:** ${reason}`, ...lines].join('\n');
+    return timeline.length > 1024 ? `${timeline.substring(0, 1021)}...` : timeline;
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('requesthistory')
+        .setDescription('Show the replacement request history for a post (JANITOR ONLY)')
+        .addStringOption(option =>
+            option.setName('post_id')
+                .setDescription('The ID of the post to show the history for.')
+                .setRequired(true))
+        .setContexts([InteractionContextType.Guild, InteractionContextType.BotDM, InteractionContextType.PrivateChannel]),
+
+    async execute(interaction) {
+        if (DiscordIDs.length > 0 && !DiscordIDs.includes(interaction.user.id)) {
+            return interaction.reply({ content: 'You are not authorized to use this command.', flags: MessageFlags.Ephemeral });
+        }
+
+        const postId = interaction.options.getString('post_id');
+
+        // Validate postId is numeric
+        if (!/^\d+$/.test(postId)) {
+            return interaction.reply({ content: '❌ Post ID must be a valid number', flags: MessageFlags.Ephemeral });
+        }
+
+        // Five timelines keep the embed well under Discord's 6000 character limit
+        const result = database.getReplacementRequestHistory(postId, 5);
+
+        if (!result.success) {
+            return interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+        }
+
+        if (result.requests.length === 0) {
+            return interaction.reply({ content: `No replacement requests have been recorded for post #${postId}.`, flags: MessageFlags.Ephemeral });
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(0x0099ff)
+            .setTitle(`📜 Replacement History for Post #${postId}`)
+            .setURL(`https://e6ai.net/posts/${postId}`)
+            .setDescription(`Showing the ${result.requests.length} most recent request${result.requests.length === 1 ? '' : 's'}.`)
+            .setTimestamp();
+
+        for (const request of result.requests) {
+            embed.addFields({
+                name: `Request #${request.id} - ${formatStatus(request.status)}`,
+                value: formatTimeline(request),
+                inline: false
+            });
+        }
+
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+    }
+};
\ No newline at end of file
@@ -4,33 +4,260 @@ const fetchPost = require('../utils/fetchPost');
 const handleDecline = require('../utils/handleDecline');
 const { validateFileSize, validateFileType, sendMessageSafely, editInteractionSafely, fetchChannelSafely, delay } = require('../utils/discordRetry');
 const rateLimiter = require('../utils/rateLimiter');
+const replacePost = require('../utils/replacePost');
+const embedBuilder = require('../utils/embedBuilder');
+const fileType = require('../utils/fileType');
+const database = require('../utils/database');
+const { STATUSES } = require('../utils/requestLifecycle');
 
 const { DiscordIDs = [] } = config;
 
+/**
+ * Validates a replacement file upload or image URL
+ * @param {Object|null} fileAttachment - Discord attachment object
+ * @param {string|null} imageUrl - Direct link to the replacement image
+ * @returns {string|null} - Error message, or null if the input is valid
+ */
+function validateReplacementSource(fileAttachment, imageUrl) {
+    // Validate file if attachment is provided
+    if (fileAttachment) {
+        // Validate file size
+        const fileSizeValidation = validateFileSize(fileAttachment);
+        if (!fileSizeValidation.valid) {
+            return fileSizeValidation.message;
+        }
+
+        // Validate file type
+        const fileTypeValidation = validateFileType(fileAttachment);
+        if (!fileTypeValidation.valid) {
+            return fileTypeValidation.message;
+        }
+    }
+
+    // Validate image URL if provided
+    if (imageUrl) {
+        try {
+            const url = new URL(imageUrl);
+            // Basic validation for common image and video extensions
+            const validExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp4', '.webm'];
+            const hasValidExtension = validExtensions.some(ext => url.pathname.toLowerCase().endsWith(ext));
+
+            if (!hasValidExtension && !url.hostname.includes('discord')) {
+                return `URL must point to a valid image or video file (${validExtensions.join(', ')}) or be a Discord CDN link.`;
+            }
+        } catch (error) {
+            return 'Invalid URL provided. Please provide a valid image URL.';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Downloads a replacement file or image URL and reads its real content type, MD5, size and dimensions
+ * @param {Object|null} fileAttachment - Discord attachment object
+ * @param {string|null} imageUrl - Direct link to the replacement image
+ * @returns {Promise<{valid: boolean, contentType?: string, md5?: string, size?: number, width?: number|null, height?: number|null, message?: string}>} - Inspection result
+ */
+async function inspectReplacementSource(fileAttachment, imageUrl) {
+    try {
+        const file = fileAttachment
+            ? await replacePost.downloadReplacementFile(fileAttachment.url, fileAttachment.name)
+            : await replacePost.downloadReplacementFile(imageUrl);
+        return {
+            valid: true,
+            contentType: file.contentType,
+            md5: file.md5,
+            size: file.size,
+            width: file.width,
+            height: file.height
+        };
+    } catch (error) {
+        return { valid: false, message: error.response ? `Could not download the replacement file: ${error.message}` : error.message };
+    }
+}
+
+/**
+ * Formats a file size in bytes for display
+ * @param {number} bytes - The file size
+ * @returns {string} - Size such as "1.2MB"
+ */
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+}
+
+/**
+ * Formats a file's dimensions, format and size on one line
+ * @param {Object} details - File details
+ * @param {number|null} details.width - Width in pixels
+ * @param {number|null} details.height - Height in pixels
+ * @param {string|null} details.contentType - MIME type
+ * @param {number|null} details.size - Size in bytes
+ * @returns {string} - Summary such as "1024×1024 PNG 1.2MB"
+ */
+function formatFileDetails({ width, height, contentType, size }) {
+    return [
+        width && height ? `${width}×${height}` : null,
+        fileType.formatContentType(contentType),
+        size ? formatFileSize(size) : null
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Compares the replacement file with the post's current file, for the request embed
+ * @param {Object} fileCheck - Result of inspectReplacementSource
+ * @param {Object} post - The post being replaced
+ * @returns {{value: string, downgrade: boolean}} - Field value and whether the replacement has fewer pixels
+ */
+function describeFileComparison(fileCheck, post) {
+    const original = {
+        width: post.file?.width || null,
+        height: post.file?.height || null,
+        contentType: post.file?.ext ? fileType.getExtensionContentType(`.${post.file.ext}`) || post.file.ext.toUpperCase() : null,
+        size: post.file?.size || null
+    };
+
+    let value = `${formatFileDetails(original)} → ${formatFileDetails(fileCheck)}`;
+    let downgrade = false;
+
+    if (original.width && original.height && fileCheck.width && fileCheck.height) {
+        const pixelRatio = (fileCheck.width * fileCheck.height) / (original.width * original.height);
+        downgrade = pixelRatio < 1;
+        value += `, ${Number(pixelRatio.toFixed(2))}× pixels`;
+    }
+
+    return { value: downgrade ? `🔻 ${value}` : value, downgrade };
+}
+
+/**
+ * Describes whether a replacement file already exists on e6AI, for the request embed
+ * @param {string} md5 - MD5 hash of the replacement file
+ * @param {Object} post - The post being replaced
+ * @returns {Promise<string>} - Field value for the duplicate check
+ */
+async function describeDuplicateCheck(md5, post) {
+    try {
+        const duplicate = await replacePost.checkDuplicate(md5, post);
+        if (duplicate.identicalToCurrent) {
+            return '⚠️ Identical to the current file';
+        }
+        if (duplicate.duplicatePostId) {
+            return `⚠️ Duplicate of [#${duplicate.duplicatePostId}](https://e6ai.net/posts/${duplicate.duplicatePostId})`;
+        }
+        return '✅ No duplicates found';
+    } catch (error) {
+        console.warn(`Duplicate check for post #${post.id} failed:`, error.message);
+        return '❔ Could not check for duplicates';
+    }
+}
+
+/**
+ * Finds the requester's own open request for a post and checks it can still be changed
+ * @param {Object} interaction - The command interaction
+ * @param {string} postId - The post ID of the request
+ * @returns {Promise<Object|null>} - The request row, or null after replying with the reason it can't be changed
+ */
+async function findOwnOpenRequest(interaction, postId) {
+    if (!/^\d+$/.test(postId)) {
+        await interaction.reply({ content: '❌ Post ID must be a valid number', flags: MessageFlags.Ephemeral });
+        return null;
+    }
+
+    const result = database.findPendingReplacementRequest(postId, interaction.user.id);
+    if (!result.success) {
+        await interaction.reply({ content: `❌ You don't have an open replacement request for post #${postId}.`, flags: MessageFlags.Ephemeral });
+        return null;
+    }
+
+    // A claimed request may be mid-upload, so only unclaimed requests can be changed
+    const inProgress = [STATUSES.CLAIMED, STATUSES.UNDELETE_REQUIRED].includes(result.request.status);
+    if (inProgress || handleDecline.requestLocks.has(postId)) {
+        await interaction.reply({ content: `❌ Your request for post #${postId} is already being processed by a Janitor and can no longer be changed.`, flags: MessageFlags.Ephemeral });
+        return null;
+    }
+
+    return result.request;
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('requestreplace')
-        .setDescription('Request a replacement for an e6AI post (works for deleted/pending posts, 10min cooldown)')
-        .addStringOption(option =>
-            option.setName('post_id')
-                .setDescription('The ID of the post to request replacement for.')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('reason')
-                .setDescription('The reason for the replacement request.')
-                .setRequired(true))
-        .addAttachmentOption(option =>
-            option.setName('file')
-                .setDescription('The replacement file to upload.')
-                .setRequired(false))
-        .addStringOption(option =>
-            option.setName('image_url')
-                .setDescription('Direct link to replacement image (alternative to file upload).')
-                .setRequired(false))
+        .setDescription('Request a replacement for an e6AI post')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('submit')
+                .setDescription('Request a replacement for an e6AI post (works for deleted/pending posts, 10min cooldown)')
+                .addStringOption(option =>
+                    option.setName('post_id')
+                        .setDescription('The ID of the post to request replacement for.')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('The reason for the replacement request.')
+                        .setRequired(true))
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('The replacement file to upload.')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('image_url')
+                        .setDescription('Direct link to replacement image (alternative to file upload).')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('withdraw')
+                .setDescription('Withdraw your open replacement request for a post')
+                .addStringOption(option =>
+                    option.setName('post_id')
+                        .setDescription('The ID of the post you requested a replacement for.')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('amend')
+                .setDescription('Change the file or reason of your open replacement request')
+                .addStringOption(option =>
+                    option.setName('post_id')
+                        .setDescription('The ID of the post you requested a replacement for.')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('The new reason for the replacement request.')
+                        .setRequired(false))
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('The new replacement file to upload.')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('image_url')
+                        .setDescription('New direct link to replacement image (alternative to file upload).')
+                        .setRequired(false)))
         .setContexts([InteractionContextType.Guild, InteractionContextType.BotDM, InteractionContextType.PrivateChannel]),
 
     async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'submit':
+                await this.handleSubmit(interaction);
+                break;
+            case 'withdraw':
+                await this.handleWithdraw(interaction);
+                break;
+            case 'amend':
+                await this.handleAmend(interaction);
+                break;
+            default:
+                await interaction.reply({
+                    content: 'Unknown subcommand.',
+                    flags: MessageFlags.Ephemeral
+                });
+        }
+    },
+
+    async handleSubmit(interaction) {
         const postId = interaction.options.getString('post_id');
         const fileAttachment = interaction.options.getAttachment('file');
         const imageUrl = interaction.options.getString('image_url');
@@ -66,41 +293,10 @@ module.exports = {
             return interaction.reply({ content: '❌ Post ID must be a valid number', flags: MessageFlags.Ephemeral });
         }
 
-        // Validate file if attachment is provided
-        if (fileAttachment) {
-            // Validate file size
-            const fileSizeValidation = validateFileSize(fileAttachment);
-            if (!fileSizeValidation.valid) {
-                return interaction.reply({ content: `❌ ${fileSizeValidation.message}`, flags: MessageFlags.Ephemeral });
-            }
-
-            // Validate file type
-            const fileTypeValidation = validateFileType(fileAttachment);
-            if (!fileTypeValidation.valid) {
-                return interaction.reply({ content: `❌ ${fileTypeValidation.message}`, flags: MessageFlags.Ephemeral });
-            }
-        }
-
-        // Validate image URL if provided
-        if (imageUrl) {
-            try {
-                const url = new URL(imageUrl);
-                // Basic validation for common image extensions
-                const validExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
-                const hasValidExtension = validExtensions.some(ext => url.pathname.toLowerCase().endsWith(ext));
-
-                if (!hasValidExtension && !url.hostname.includes('discord')) {
-                    return interaction.reply({
-                        content: '❌ URL must point to a valid image file (.jpg, .jpeg, .png, .gif, .webp) or be a Discord CDN link.',
-                        flags: MessageFlags.Ephemeral
-                    });
-                }
-            } catch (error) {
-                return interaction.reply({
-                    content: '❌ Invalid URL provided. Please provide a valid image URL.',
-                    flags: MessageFlags.Ephemeral
-                });
-            }
+        // Validate the replacement file or image URL
+        const sourceError = validateReplacementSource(fileAttachment, imageUrl);
+        if (sourceError) {
+            return interaction.reply({ content: `❌ ${sourceError}`, flags: MessageFlags.Ephemeral });
         }
 
         // Check if replacement request channel is configured
@@ -108,16 +304,12 @@ module.exports = {
             return interaction.reply({ content: '❌ Replacement request channel is not configured. Please contact a bot administrator.', flags: MessageFlags.Ephemeral });
         }
 
-        // Check if there's already an active request for this post/user combination
-        const requestKey = `${postId}:${interaction.user.id}`;
-        if (handleDecline.activeRequests.has(requestKey)) {
-            const existingRequest = handleDecline.activeRequests.get(requestKey);
-            if (existingRequest.status === 'pending' || Date.now() - existingRequest.timestamp < 300000) { // 5 minutes
-                return interaction.reply({
-                    content: '❌ You already have an active replacement request for this post. Please wait for it to be processed or declined before making another request.',
-                    flags: MessageFlags.Ephemeral
-                });
-            }
+        // Check if there's already a pending request for this post/user combination
+        if (database.findPendingReplacementRequest(postId, interaction.user.id).success) {
+            return interaction.reply({
+                content: '❌ You already have an active replacement request for this post. Please wait for it to be processed or declined before making another request.',
+                flags: MessageFlags.Ephemeral
+            });
         }
 
         // Acquire lock for this post to prevent concurrent processing
@@ -129,10 +321,12 @@ module.exports = {
         }
 
         // Add lock for this post
-        handleDecline.requestLocks.add(postId);
+        handleDecline.requestLocks.set(postId, Date.now());
 
         await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
+        let requestId = null;
+
         try {
             // Fetch the post to get its information
             const postResult = await fetchPost.getPost(postId);
@@ -143,6 +337,15 @@ module.exports = {
 
             const post = postResult.post;
 
+            // Check the file's real type, the extension alone can't be trusted
+            const fileCheck = await inspectReplacementSource(fileAttachment, imageUrl);
+            if (!fileCheck.valid) {
+                return editInteractionSafely(interaction, { content: `❌ ${fileCheck.message}` });
+            }
+
+            const duplicateCheck = await describeDuplicateCheck(fileCheck.md5, post);
+            const comparison = describeFileComparison(fileCheck, post);
+
             // Get the replacement request channel with retry logic
             const channel = await fetchChannelSafely(interaction.client, config.channels.replacementRequestChannel);
             
@@ -150,6 +353,20 @@ module.exports = {
                 return editInteractionSafely(interaction, { content: '❌ Could not find the replacement request channel. Please contact a bot administrator.' });
             }
 
+            // Store the request first so its ID can be encoded in the moderator buttons
+            const createResult = database.createReplacementRequest(
+                postId,
+                interaction.user.id,
+                reason,
+                fileAttachment ? fileAttachment.url : imageUrl,
+                fileCheck.contentType,
+                channel.id
+            );
+            if (!createResult.success) {
+                throw new Error(`Failed to store replacement request: ${createResult.error}`);
+            }
+            requestId = createResult.id;
+
             // 1. Send replacement image
             const replacementImageEmbed = new EmbedBuilder()
                 .setTitle('REPLACEMENT IMAGE')
@@ -185,11 +402,16 @@ module.exports = {
             let originalImageMessage = null;
             if (post.file?.url && !shouldSpoiler) {
                 const isDeleted = post.flags?.deleted;
+                // Videos can't play in embeds, show their sample image and say it's a video
+                const videoLabel = embedBuilder.getVideoLabel(post);
                 const originalImageEmbed = new EmbedBuilder()
-                    .setTitle(isDeleted ? 'ORIGINAL IMAGE (DELETED):' : 'ORIGINAL IMAGE:')
+                    .setTitle(`${isDeleted ? 'ORIGINAL IMAGE (DELETED):' : 'ORIGINAL IMAGE:'}${videoLabel ? ` ${videoLabel}` : ''}`)
                     .setURL(`https://e6ai.net/posts/${postId}`)
-                    .setImage(post.file.url)
                     .setColor(isDeleted ? 0xff0000 : 0x0099ff); // Red for deleted, Blue for normal
+                const originalImageUrl = embedBuilder.getEmbedImageUrl(post);
+                if (originalImageUrl) {
+                    originalImageEmbed.setImage(originalImageUrl);
+                }
                 originalImageMessage = await sendMessageSafely(channel, { embeds: [originalImageEmbed] });
             }
 
@@ -197,7 +419,7 @@ module.exports = {
 
             // 3. Send main request embed with buttons
             const requestEmbed = new EmbedBuilder()
-                .setColor(0xff9900)
+                .setColor(comparison.downgrade ? 0xff0000 : 0xff9900) // Red when the replacement has fewer pixels
                 .setTitle('🔄 Replacement Request')
                 .setDescription(`A replacement has been requested for post #${postId}`)
                 .addFields(
@@ -205,7 +427,9 @@ module.exports = {
                     { name: 'Requested by', value: `${interaction.user.displayName} (${interaction.user.id})`, inline: true },
                     { name: 'Reason', value: reason, inline: false },
                     { name: 'Current Rating', value: post.rating?.toUpperCase() === 'E' ? '🔞 Explicit' : post.rating?.toUpperCase() === 'Q' ? '⚠️ Questionable' : post.rating?.toUpperCase() === 'S' ? '✅ Safe' : 'Unknown', inline: true },
-                    { name: 'Current Status', value: post.flags?.deleted ? '🗑️ Deleted' : post.flags?.pending ? '⏳ Pending' : '✅ Approved', inline: true }
+                    { name: 'Current Status', value: post.flags?.deleted ? '🗑️ Deleted' : post.flags?.pending ? '⏳ Pending' : '✅ Approved', inline: true },
+                    { name: 'Duplicate Check', value: duplicateCheck, inline: true },
+                    { name: 'File Comparison', value: comparison.value, inline: false }
                 )
                 .setThumbnail(interaction.user.displayAvatarURL())
                 .setTimestamp();
@@ -218,37 +442,23 @@ module.exports = {
 
             const actionRow = new ActionRowBuilder().addComponents(visitButton);
 
-            let moderatorActionRow = null;
-            if (DiscordIDs.length > 0) {
-                const declineButton = new ButtonBuilder()
-                    .setCustomId(`decline_request:${postId}:${interaction.user.id}`)
-                    .setLabel('DECLINE')
-                    .setStyle(ButtonStyle.Danger)
-                    .setEmoji('❌');
-
-                const acceptButton = new ButtonBuilder()
-                    .setCustomId(`accept_request:${postId}:${interaction.user.id}`)
-                    .setLabel('ACCEPT')
-                    .setStyle(ButtonStyle.Success)
-                    .setEmoji('✅');
-
-                moderatorActionRow = new ActionRowBuilder().addComponents(declineButton, acceptButton);
-            }
+            const moderatorActionRow = DiscordIDs.length > 0
+                ? handleDecline.buildModeratorActionRow(postId, interaction.user.id, requestId)
+                : null;
 
             const mainMessage = await sendMessageSafely(channel, {
                 embeds: [requestEmbed],
                 components: [actionRow, ...(moderatorActionRow ? [moderatorActionRow] : [])]
             });
 
-            // Track this active request with all message IDs
-            handleDecline.activeRequests.set(requestKey, {
-                mainMessageId: mainMessage.id,
-                replacementImageMessageId: replacementImageMessage.id,
-                originalImageMessageId: originalImageMessage ? originalImageMessage.id : null,
-                timestamp: Date.now(),
-                status: 'pending',
-                channelId: channel.id
-            });
+            // Record the posted message IDs so the request can be resolved without searching the channel
+            database.setReplacementRequestMessages(
+                requestId,
+                mainMessage.id,
+                replacementImageMessage.id,
+                originalImageMessage ? originalImageMessage.id : null,
+                replacementImageMessage.attachments.first()?.url
+            );
 
             // Set rate limit for user (10 minutes)
             await rateLimiter.setRateLimit(interaction.user.id, 600000);
@@ -258,14 +468,13 @@ module.exports = {
                 content: `✅ Your replacement request for post #${postId} has been submitted successfully! The ${fileAttachment ? 'file has been attached' : 'image URL has been included'} in the request message.\n\nPlease be patient as you will receive a message when a Janitor gets to your request.`
             });
 
-            // Release lock after successful submission
-            handleDecline.requestLocks.delete(postId);
-
         } catch (error) {
             console.error('Error processing requestreplace command:', error);
-            
-            // Release lock on error
-            handleDecline.requestLocks.delete(postId);
+
+            // Drop the stored request if its messages could not be posted
+            if (requestId) {
+                database.deleteReplacementRequest(requestId);
+            }
             
             let errorMessage = 'An error occurred while processing your replacement request.';
             if (error.message.includes('not found')) {
@@ -281,6 +490,183 @@ module.exports = {
             }
             
             await editInteractionSafely(interaction, { content: errorMessage });
+        } finally {
+            // Release lock once the request has been posted or has failed
+            handleDecline.requestLocks.delete(postId);
+        }
+    },
+
+    async handleWithdraw(interaction) {
+        const postId = interaction.options.getString('post_id');
+
+        const request = await findOwnOpenRequest(interaction, postId);
+        if (!request) {
+            return;
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        const transition = database.transitionReplacementRequest(request.id, STATUSES.WITHDRAWN, interaction.user.id, 'Withdrawn by requester');
+        if (!transition.success) {
+            return editInteractionSafely(interaction, { content: `❌ Could not withdraw your request for post #${postId}: ${transition.error}` });
+        }
+
+        try {
+            const channel = await handleDecline.fetchRequestChannel(interaction.client, request);
+            if (channel) {
+                await handleDecline.cleanupRequestMessages(channel, request);
+            }
+        } catch (error) {
+            console.warn(`Failed to clean up withdrawn request messages for post #${postId}:`, error.message);
+        }
+
+        // Withdrawing frees the user to submit a corrected request straight away
+        await rateLimiter.removeRateLimit(interaction.user.id);
+
+        console.log(`Request for post #${postId} withdrawn by requester ${interaction.user.id}`);
+        await editInteractionSafely(interaction, {
+            content: `✅ Your replacement request for post #${postId} has been withdrawn. You can submit a new request right away.`
+        });
+    },
+
+    async handleAmend(interaction) {
+        const postId = interaction.options.getString('post_id');
+        const reason = interaction.options.getString('reason');
+        const fileAttachment = interaction.options.getAttachment('file');
+        const imageUrl = interaction.options.getString('image_url');
+
+        if (!reason && !fileAttachment && !imageUrl) {
+            return interaction.reply({
+                content: '❌ Provide a new reason, a new file or a new image URL to amend your request.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        if (fileAttachment && imageUrl) {
+            return interaction.reply({
+                content: '❌ Please provide either a file upload OR an image URL, not both.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        const sourceError = validateReplacementSource(fileAttachment, imageUrl);
+        if (sourceError) {
+            return interaction.reply({ content: `❌ ${sourceError}`, flags: MessageFlags.Ephemeral });
+        }
+
+        const request = await findOwnOpenRequest(interaction, postId);
+        if (!request) {
+            return;
+        }
+
+        // Hold the post's lock while the request messages are edited, like a new submission does
+        handleDecline.requestLocks.set(postId, Date.now());
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        try {
+            const channel = await handleDecline.fetchRequestChannel(interaction.client, request);
+            if (!channel) {
+                return editInteractionSafely(interaction, { content: '❌ Could not find the replacement request channel. Please contact a bot administrator.' });
+            }
+
+            let replacementUrl = null;
+            let contentType = null;
+            let duplicateCheck = null;
+            let comparison = null;
+            if (fileAttachment || imageUrl) {
+                // Check the new file's real type before touching the request messages
+                const fileCheck = await inspectReplacementSource(fileAttachment, imageUrl);
+                if (!fileCheck.valid) {
+                    return editInteractionSafely(interaction, { content: `❌ ${fileCheck.message}` });
+                }
+                contentType = fileCheck.contentType;
+
+                let postResult = null;
+                try {
+                    postResult = await fetchPost.getPost(postId);
+                } catch (error) {
+                    console.warn(`Failed to look up post #${postId} for an amended request:`, error.message);
+                }
+
+                if (!postResult || !postResult.post) {
+                    return editInteractionSafely(interaction, { content: `❌ Could not look up post #${postId} to check the new file against it. Please try again later.` });
+                }
+
+                duplicateCheck = await describeDuplicateCheck(fileCheck.md5, postResult.post);
+                comparison = describeFileComparison(fileCheck, postResult.post);
+
+                const replacementImageMessage = await handleDecline.fetchRequestMessage(channel, request.replacement_message_id);
+                if (!replacementImageMessage) {
+                    return editInteractionSafely(interaction, { content: `❌ Could not find the replacement image message for post #${postId}. Please withdraw and resubmit your request.` });
+                }
+
+                const replacementImageEmbed = EmbedBuilder.from(replacementImageMessage.embeds[0]);
+
+                // Replace the file in place so the request messages keep their order in the channel
+                let updatedMessage;
+                if (fileAttachment) {
+                    replacementImageEmbed.setImage(`attachment://${fileAttachment.name}`);
+                    updatedMessage = await replacementImageMessage.edit({
+                        embeds: [replacementImageEmbed],
+                        attachments: [],
+                        files: [{
+                            attachment: fileAttachment.url,
+                            name: fileAttachment.name
+                        }]
+                    });
+                    replacementUrl = updatedMessage.attachments.first()?.url || fileAttachment.url;
+                } else {
+                    replacementImageEmbed.setImage(imageUrl);
+                    await replacementImageMessage.edit({
+                        embeds: [replacementImageEmbed],
+                        attachments: []
+                    });
+                    replacementUrl = imageUrl;
+                }
+            }
+
+            if (reason || duplicateCheck) {
+                const mainMessage = await handleDecline.fetchRequestMessage(channel, request.main_message_id);
+                if (mainMessage) {
+                    const fields = mainMessage.embeds[0].fields.map(field => {
+                        if (reason && field.name === 'Reason') {
+                            return { ...field, value: reason };
+                        }
+                        if (duplicateCheck && field.name === 'Duplicate Check') {
+                            return { ...field, value: duplicateCheck };
+                        }
+                        if (comparison && field.name === 'File Comparison') {
+                            return { ...field, value: comparison.value };
+                        }
+                        return field;
+                    });
+                    const requestEmbed = EmbedBuilder.from(mainMessage.embeds[0])
+                        .setFields(fields)
+                        .setFooter({ text: 'Amended by requester' });
+                    if (comparison) {
+                        requestEmbed.setColor(comparison.downgrade ? 0xff0000 : 0xff9900);
+                    }
+                    await mainMessage.edit({ embeds: [requestEmbed] });
+                }
+            }
+
+            const changes = [reason ? 'reason' : null, replacementUrl ? 'file' : null].filter(Boolean).join(' and ');
+            const amendResult = database.amendReplacementRequest(request.id, reason, replacementUrl, contentType, interaction.user.id, `Requester amended the ${changes}`);
+            if (!amendResult.success) {
+                return editInteractionSafely(interaction, {
+                    content: `❌ Your request for post #${postId} changed while it was being amended, a Janitor may have picked it up. Please try again.`
+                });
+            }
+
+            await editInteractionSafely(interaction, {
+                content: `✅ Your replacement request for post #${postId} has been updated (${changes}).`
+            });
+        } catch (error) {
+            console.error('Error amending replacement request:', error);
+            await editInteractionSafely(interaction, { content: `❌ An error occurred while amending your request: ${error.message}` });
+        } finally {
+            handleDecline.requestLocks.delete(postId);
         }
     },
 };
\ No newline at end of file
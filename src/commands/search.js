@@ -0,0 +1,130 @@
+const { SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const api = require('../utils/api');
+const embedBuilder = require('../utils/embedBuilder');
+
+// Number of posts loaded for one carousel
+const SEARCH_LIMIT = 75;
+// How long the carousel buttons stay active after the last click
+const CAROUSEL_IDLE_MS = 5 * 60 * 1000;
+
+/**
+ * Build the message payload for one search result
+ * @param {Array<Object>} posts - The search results
+ * @param {number} index - Index of the post to show
+ * @param {string} tags - The query, shown in the footer
+ * @param {boolean} active - Whether the navigation buttons are enabled
+ * @returns {Promise<Object>} Message payload
+ */
+const buildResultPage = async (posts, index, tags, active = true) => {
+  const post = posts[index];
+  const { embed, shouldSpoiler, components } = await embedBuilder.createPostEmbed(post);
+
+  const more = posts.length >= SEARCH_LIMIT ? '+' : '';
+  embed.setFooter({ text: `Result ${index + 1} of ${posts.length}${more} • ${tags}`.substring(0, 2048) });
+
+  const navigationRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('search_prev')
+      .setLabel('Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('◀️')
+      .setDisabled(!active || posts.length < 2),
+    new ButtonBuilder()
+      .setCustomId('search_random')
+      .setLabel('Random')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('🎲')
+      .setDisabled(!active || posts.length < 2),
+    new ButtonBuilder()
+      .setCustomId('search_next')
+      .setLabel('Next')
+      .setStyle(ButtonStyle.Secondary)
+      .setEmoji('▶️')
+      .setDisabled(!active || posts.length < 2)
+  );
+
+  return {
+    content: shouldSpoiler ? `|| ${post.file.url} ||` : '',
+    embeds: [embed],
+    components: [...(components || []), navigationRow]
+  };
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('search')
+    .setDescription('Search e6AI posts by tags')
+    .addStringOption(option =>
+      option.setName('tags')
+        .setDescription('Tags to search for, using e6AI search syntax (e.g. "wolf rating:s order:score")')
+        .setRequired(true)),
+
+  async execute(interaction) {
+    const input = interaction.options.getString('tags').trim();
+
+    const query = embedBuilder.restrictTagsForChannel(input, interaction.channel);
+    if (query.refused) {
+      return interaction.reply({ content: '❌ Explicit posts can only be searched for in NSFW channels.', ephemeral: true });
+    }
+
+    await interaction.deferReply();
+
+    let posts;
+    try {
+      posts = await api.searchPosts(query.tags, { limit: SEARCH_LIMIT });
+    } catch (error) {
+      console.error('Error in /search command:', error);
+      return interaction.editReply(`❌ ${error.message}`);
+    }
+
+    // The query already excludes explicit posts, this catches anything that slips through
+    posts = posts.filter(post => embedBuilder.isPostAllowedInChannel(post, interaction.channel));
+
+    if (posts.length === 0) {
+      return interaction.editReply(`No posts found for \`${input}\`.`);
+    }
+
+    let index = 0;
+    const message = await interaction.editReply(await buildResultPage(posts, index, input));
+
+    if (posts.length < 2) {
+      return;
+    }
+
+    // Only handle the carousel buttons, other buttons on the post are routed globally
+    const collector = message.createMessageComponentCollector({
+      filter: (buttonInteraction) => buttonInteraction.customId.startsWith('search_'),
+      idle: CAROUSEL_IDLE_MS
+    });
+
+    collector.on('collect', async (buttonInteraction) => {
+      if (buttonInteraction.user.id !== interaction.user.id) {
+        await buttonInteraction.reply({ content: 'These buttons are not for you.', ephemeral: true });
+        return;
+      }
+
+      if (buttonInteraction.customId === 'search_prev') {
+        index = (index - 1 + posts.length) % posts.length;
+      } else if (buttonInteraction.customId === 'search_next') {
+        index = (index + 1) % posts.length;
+      } else if (buttonInteraction.customId === 'search_random') {
+        // Always move to a different post
+        index = (index + 1 + Math.floor(Math.random() * (posts.length - 1))) % posts.length;
+      }
+
+      try {
+        await buttonInteraction.update(await buildResultPage(posts, index, input));
+      } catch (error) {
+        console.error('Error updating search result:', error);
+      }
+    });
+
+    collector.on('end', async () => {
+      try {
+        await interaction.editReply(await buildResultPage(posts, index, input, false));
+      } catch (error) {
+        console.error('Error disabling search buttons:', error);
+      }
+    });
+  },
+};
@@ -0,0 +1,68 @@
+const { SlashCommandBuilder } = require('discord.js');
+const api = require('../utils/api');
+const embedBuilder = require('../utils/embedBuilder');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('tag')
+    .setDescription('Look up an e6AI tag with its category, post count, aliases and implications')
+    .addStringOption(option =>
+      option.setName('name')
+        .setDescription('The tag name')
+        .setRequired(true)
+        .setAutocomplete(true)),
+
+  async execute(interaction) {
+    const name = interaction.options.getString('name').trim();
+
+    if (name.length === 0) {
+      return interaction.reply({ content: '❌ Please provide a tag name', ephemeral: true });
+    }
+
+    try {
+      await interaction.deferReply();
+
+      const tag = await api.fetchTag(name);
+      if (!tag) {
+        return interaction.editReply(`❌ Tag "${name}" not found on e6AI`);
+      }
+
+      const { aliasedTo, aliasedFrom } = await api.fetchTagAliases(tag.name);
+      const implications = await api.fetchTagImplications(tag.name);
+
+      const { embed, components } = embedBuilder.createTagEmbed(tag, { aliasedTo, aliasedFrom, implications });
+
+      await interaction.editReply({
+        embeds: [embed],
+        components: components || []
+      });
+    } catch (error) {
+      console.error('Error in /tag command:', error);
+      await interaction.editReply(`❌ Error fetching tag "${name}": ${error.message}`);
+    }
+  },
+
+  async autocomplete(interaction) {
+    const focusedValue = interaction.options.getFocused().trim();
+
+    // e6AI's autocomplete endpoint needs at least three characters
+    if (focusedValue.length < 3) {
+      await interaction.respond([]);
+      return;
+    }
+
+    try {
+      const tags = await api.autocompleteTags(focusedValue);
+      await interaction.respond(tags.slice(0, 25).map(tag => {
+        const alias = tag.antecedent_name ? `${tag.antecedent_name} → ` : '';
+        return {
+          name: `${alias}${tag.name} (${(tag.post_count ?? 0).toLocaleString('en-US')})`.replace(/_/g, ' ').substring(0, 100),
+          value: tag.name.substring(0, 100)
+        };
+      }));
+    } catch (error) {
+      console.error('Error fetching tag autocomplete:', error.message);
+      await interaction.respond([]);
+    }
+  }
+};
@@ -0,0 +1,50 @@
+const { SlashCommandBuilder } = require('discord.js');
+const fetchUser = require('../utils/fetchUser');
+const embedBuilder = require('../utils/embedBuilder');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('user')
+    .setDescription('View an e6AI user profile')
+    .addStringOption(option =>
+      option.setName('name_or_id')
+        .setDescription('The user name, ID or profile URL')
+        .setRequired(true)),
+
+  async execute(interaction) {
+    let input = interaction.options.getString('name_or_id').trim();
+
+    // Extract the name or ID from a profile URL if provided
+    if (input.startsWith('http')) {
+      const match = input.match(/\/users\/([^\s/?#]+)/);
+      if (!match) {
+        return interaction.reply({ content: '❌ Invalid e6AI user URL format', ephemeral: true });
+      }
+      try {
+        input = decodeURIComponent(match[1]);
+      } catch (error) {
+        input = match[1];
+      }
+    }
+
+    if (input.length === 0) {
+      return interaction.reply({ content: '❌ Please provide a user name or ID', ephemeral: true });
+    }
+
+    try {
+      await interaction.deferReply();
+
+      const result = await fetchUser.getUser(input, {
+        showExplicit: embedBuilder.isNsfwChannel(interaction.channel)
+      });
+
+      await interaction.editReply({
+        embeds: [result.embed],
+        components: result.components || []
+      });
+    } catch (error) {
+      console.error('Error in /user command:', error);
+      await interaction.editReply(`❌ Error fetching user ${input}: ${error.message}`);
+    }
+  },
+};
@@ -59,7 +59,7 @@ module.exports = {
       }
       
       // Use the new API
-      const result = await fetchPost.getPost(postId);
+      const result = await fetchPost.getPost(postId, { embedOptions: { includeTags: true } });
       
       if (shouldPrintApiReturns()) {
         console.log(`Post data received successfully`);
@@ -0,0 +1,64 @@
+const { SlashCommandBuilder } = require('discord.js');
+const fetchWiki = require('../utils/fetchWiki');
+const api = require('../utils/api');
+const dtextFormatter = require('../utils/dtextFormatter');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('wiki')
+    .setDescription('Look up an e6AI wiki page')
+    .addStringOption(option =>
+      option.setName('title')
+        .setDescription('The wiki page title')
+        .setRequired(true)
+        .setAutocomplete(true)),
+
+  async execute(interaction) {
+    const title = interaction.options.getString('title').trim();
+
+    if (title.length === 0) {
+      return interaction.reply({ content: '❌ Please provide a wiki page title', ephemeral: true });
+    }
+
+    try {
+      await interaction.deferReply();
+
+      const result = await fetchWiki.getWikiPage(title);
+
+      await interaction.editReply({
+        embeds: [result.embed],
+        components: result.components || []
+      });
+    } catch (error) {
+      console.error('Error in /wiki command:', error);
+      await interaction.editReply(`❌ Error fetching wiki page "${title}": ${error.message}`);
+    }
+  },
+
+  async autocomplete(interaction) {
+    const focusedValue = interaction.options.getFocused().trim();
+
+    if (focusedValue.length < 2) {
+      await interaction.respond([]);
+      return;
+    }
+
+    try {
+      const pages = await api.searchWikiPages(focusedValue, 25);
+      const labelLength = dtextFormatter.DTEXT_BUDGETS.autocomplete;
+      await interaction.respond(pages.slice(0, 25).map(page => {
+        const title = page.title.replace(/_/g, ' ').substring(0, labelLength);
+        // Follow the title with the start of the page body when there's room for it
+        const summaryLength = labelLength - title.length - 3;
+        const summary = summaryLength >= 10 ? dtextFormatter.cleanDText(page.body, { maxLength: summaryLength }) : '';
+        return {
+          name: summary ? `${title} — ${summary}` : title,
+          value: page.title.substring(0, 100)
+        };
+      }));
+    } catch (error) {
+      console.error('Error fetching wiki autocomplete:', error.message);
+      await interaction.respond([]);
+    }
+  }
+};
@@ -5,12 +5,18 @@
  * including post data fetching and username scraping. It contains no
  * Discord-specific code and can be used independently or by other services.
  *
+ * Every request goes through a shared client that paces calls to e6AI's
+ * rate limit, applies a timeout and retries rate-limited or failed calls.
+ * Post JSON and usernames are cached; posts only briefly, since their
+ * status and file change, usernames for much longer.
+ *
  * @module api
  */
 
 const axios = require('axios');
 const config = require('../../config.json');
 const packageJson = require('../../package.json');
+const { TtlCache } = require('./cache');
 
 /**
  * Helper function to check if API return printing is enabled
@@ -51,6 +57,194 @@ const getCommonHeaders = () => {
   return headers;
 };
 
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors that are worth retrying, the request never got a response
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+
+const clientStats = {
+  requests: 0,
+  retries: 0,
+  rateLimited: 0,
+  failures: 0,
+  queued: 0
+};
+
+// Start time of the most recent request, the end of a pause asked for by a 429, and the tail of the pacing queue
+let lastRequestAt = 0;
+let pausedUntil = 0;
+let paceQueue = Promise.resolve();
+
+// Discord drops autocomplete responses after 3 seconds, so suggestions get one quick attempt
+const AUTOCOMPLETE_REQUEST = { maxRetries: 0, maxWait: 1000, timeout: 1500 };
+
+const { usernameTtlMinutes = 1440, postTtlSeconds = 60, persistUsernames = true } = config.cache || {};
+
+const usernameCache = new TtlCache({
+  namespace: 'username',
+  ttlMs: usernameTtlMinutes * 60 * 1000,
+  persist: persistUsernames
+});
+
+// Post JSON goes stale quickly, so it is only kept in memory
+const postCache = new TtlCache({
+  namespace: 'post',
+  ttlMs: postTtlSeconds * 1000,
+  maxEntries: 200
+});
+
+/**
+ * Get the shared client settings from config
+ * @returns {{minInterval: number, timeout: number, maxRetries: number}} Client settings
+ */
+const getClientSettings = () => {
+  const { requestsPerSecond = 1, timeoutMs = 15000, maxRetries = 3 } = config.api || {};
+  return {
+    minInterval: 1000 / requestsPerSecond,
+    timeout: timeoutMs,
+    maxRetries
+  };
+};
+
+/**
+ * Wait until the next request may start without exceeding the rate limit.
+ * Calls are released one at a time in the order they asked for a slot.
+ * @param {number} [maxWait] - Give up if no slot is free within this many milliseconds
+ * @returns {Promise<void>} Resolves when the caller may send its request
+ * @throws {Error} With code EQUEUETIMEOUT if maxWait passed first
+ */
+const waitForRequestSlot = (maxWait) => {
+  const slot = paceQueue.then(async () => {
+    const wait = Math.max(lastRequestAt + getClientSettings().minInterval, pausedUntil) - Date.now();
+    if (wait > 0) {
+      await delay(wait);
+    }
+    lastRequestAt = Date.now();
+  });
+  paceQueue = slot;
+
+  if (!maxWait) {
+    return slot;
+  }
+
+  // The slot is still used when it comes up, the caller just stops waiting for it
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`No e6AI request slot was free within ${maxWait}ms`);
+      error.code = 'EQUEUETIMEOUT';
+      reject(error);
+    }, maxWait);
+  });
+  return Promise.race([slot, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Work out how long to wait before retrying a failed request
+ * @param {Error} error - The axios error
+ * @param {number} attempt - Zero-based attempt number that failed
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (error, attempt) => {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const retryDate = Date.parse(retryAfter);
+    if (!Number.isNaN(retryDate)) {
+      return Math.max(0, retryDate - Date.now());
+    }
+  }
+
+  // Exponential backoff with jitter
+  return 1000 * Math.pow(2, attempt) + Math.random() * 1000;
+};
+
+/**
+ * Send a request to e6AI through the shared client
+ * @param {Object|Function} requestConfig - Axios request config, or a function returning a fresh config for each attempt (needed for streamed bodies)
+ * @param {Object} options - Client options
+ * @param {boolean} options.retryServerErrors - Retry 5xx and network errors as well as 429 (default: only for GET requests, a failed POST may still have been applied)
+ * @param {number} options.timeout - Override the configured timeout in milliseconds
+ * @param {number} options.maxRetries - Override the configured number of retries
+ * @param {number} options.maxWait - Fail instead of waiting longer than this for a request slot
+ * @returns {Promise<Object>} The axios response
+ * @throws {Error} The axios error once retries are exhausted or the error is not retryable
+ */
+const apiRequest = async (requestConfig, options = {}) => {
+  const settings = getClientSettings();
+  const maxRetries = options.maxRetries ?? settings.maxRetries;
+
+  for (let attempt = 0; ; attempt++) {
+    clientStats.queued++;
+    try {
+      await waitForRequestSlot(options.maxWait);
+    } finally {
+      clientStats.queued--;
+    }
+
+    clientStats.requests++;
+    const attemptConfig = typeof requestConfig === 'function' ? requestConfig() : requestConfig;
+    try {
+      return await axios({ timeout: options.timeout || settings.timeout, ...attemptConfig });
+    } catch (error) {
+      const status = error.response?.status;
+      const rateLimited = status === 429;
+      const serverError = status >= 500 || (!error.response && RETRYABLE_ERROR_CODES.includes(error.code));
+      const retryServerErrors = options.retryServerErrors ?? (attemptConfig.method || 'get').toLowerCase() === 'get';
+      const retryDelay = getRetryDelay(error, attempt);
+
+      if (rateLimited) {
+        // Hold back every queued request, not just this one, until e6AI accepts requests again
+        clientStats.rateLimited++;
+        pausedUntil = Math.max(pausedUntil, Date.now() + retryDelay);
+      }
+
+      if (attempt >= maxRetries || !(rateLimited || (retryServerErrors && serverError))) {
+        clientStats.failures++;
+        throw error;
+      }
+
+      clientStats.retries++;
+      console.log(`e6AI request failed (${status || error.code}), retrying in ${Math.round(retryDelay)}ms (attempt ${attempt + 1}/${maxRetries})...`);
+
+      // A rate-limited retry waits for the pause in the queue
+      if (!rateLimited) {
+        await delay(retryDelay);
+      }
+    }
+  }
+};
+
+/**
+ * Check whether a failed request may succeed if it is tried again later:
+ * e6AI was rate limiting, had a server error or never answered
+ * @param {Error} error - The error, or an error wrapping it as its `cause`
+ * @returns {boolean} True if the failure is temporary
+ */
+const isTransientError = (error) => {
+  for (let current = error; current; current = current.cause) {
+    const status = current.response?.status;
+    if (status === 429 || status >= 500) {
+      return true;
+    }
+    if (current.isAxiosError && !current.response && RETRYABLE_ERROR_CODES.includes(current.code)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Get counters for the shared e6AI client
+ * @returns {{requests: number, retries: number, rateLimited: number, failures: number, queued: number}} Snapshot of the counters
+ */
+const getClientStats = () => {
+  return { ...clientStats };
+};
+
 /**
  * Handle API errors consistently
  * @param {string} postId - The post ID being fetched
@@ -74,7 +268,30 @@ const handleApiError = (postId, error) => {
   } else if (error.response?.status === 403) {
     throw new Error('Access denied - check User-Agent or API credentials');
   } else {
-    throw new Error(`Failed to fetch post from e6AI: ${error.message}`);
+    throw new Error(`Failed to fetch post from e6AI: ${error.message}`, { cause: error });
+  }
+};
+
+/**
+ * Handle errors from lookups of other e6AI resources (pools, users, wiki pages, tags)
+ * @param {string} resource - Description of what was fetched, e.g. "Pool 12"
+ * @param {Error} error - The error object
+ * @throws {Error} Formatted error message
+ */
+const handleLookupError = (resource, error) => {
+  console.error(`Error fetching ${resource}:`, {
+    status: error.response?.status,
+    statusText: error.response?.statusText,
+    message: error.message,
+    url: error.config?.url
+  });
+
+  if (error.response?.status === 404) {
+    throw new Error(`${resource} not found on e6AI`);
+  } else if (error.response?.status === 403) {
+    throw new Error('Access denied - check User-Agent or API credentials');
+  } else {
+    throw new Error(`Failed to fetch ${resource} from e6AI: ${error.message}`, { cause: error });
   }
 };
 
@@ -84,10 +301,21 @@ const handleApiError = (postId, error) => {
  * @returns {Promise<Object>} Raw API response data
  */
 const fetchPostData = async (postId) => {
+  const cached = postCache.get(postId);
+  if (cached) {
+    if (shouldPrintApiReturns()) {
+      console.log(`Using cached data for post ${postId}`);
+    }
+    // Callers may modify the post, so never hand out the cached object itself
+    return structuredClone(cached);
+  }
+
   try {
     const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
     console.log(`Fetching post ${postId} from e6AI API... (using ${baseUrl})`);
-    const response = await axios.get(`${baseUrl}/posts/${postId}.json`, {
+    const response = await apiRequest({
+      method: 'get',
+      url: `${baseUrl}/posts/${postId}.json`,
       headers: getCommonHeaders()
     });
     
@@ -97,7 +325,8 @@ const fetchPostData = async (postId) => {
       console.log(`API Response data keys:`, Object.keys(response.data || {}));
     }
     
-    return response.data;
+    postCache.set(postId, response.data);
+    return structuredClone(response.data);
   } catch (error) {
     handleApiError(postId, error);
   }
@@ -130,30 +359,304 @@ const extractPostFromResponse = (postId, responseData) => {
 };
 
 /**
- * Get username from e6AI user profile using the official API method
- * @param {string|number} userId - The user ID to fetch
- * @returns {Promise<string>} The username
+ * Search posts using e6AI tag syntax
+ * @param {string} tags - The tag query (e.g. "md5:abc123" or "wolf rating:s")
+ * @param {Object} options - Additional options
+ * @param {number} options.limit - Maximum number of posts to return (default: 75)
+ * @param {number} options.page - Page number (default: 1)
+ * @returns {Promise<Array<Object>>} Array of post objects
  */
-const getUsername = async (userId) => {
+const searchPosts = async (tags, options = {}) => {
+  const { limit = 75, page = 1 } = options;
+
   try {
     const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
     if (shouldPrintApiReturns()) {
-      console.log(`Fetching username for user ${userId} from e6AI API... (using ${baseUrl})`);
+      console.log(`Searching posts for "${tags}" from e6AI API... (using ${baseUrl})`);
     }
-    
-    const response = await axios.get(`${baseUrl}/users/${userId}.json`, {
+
+    const response = await apiRequest({
+      method: 'get',
+      url: `${baseUrl}/posts.json`,
+      params: { tags, limit, page },
       headers: getCommonHeaders()
     });
-    
-    // Print API response status and data keys only if configured
+
+    if (shouldPrintApiReturns()) {
+      console.log(`API Response status: ${response.status}`);
+      console.log(`Search returned ${response.data?.posts?.length || 0} posts`);
+    }
+
+    return response.data?.posts || [];
+  } catch (error) {
+    console.error(`Error searching posts for "${tags}":`, error.message);
+
+    if (error.response?.status === 403) {
+      throw new Error('Access denied - check User-Agent or API credentials');
+    } else if (error.response?.status === 422) {
+      throw new Error(`Invalid search: ${error.response.data?.reason || error.response.data?.message || tags}`);
+    } else {
+      throw new Error(`Failed to search posts on e6AI: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Find the post that has a file with the given MD5
+ * @param {string} md5 - The file MD5 hash
+ * @returns {Promise<Object|null>} The matching post, or null if none exists
+ */
+const findPostByMd5 = async (md5) => {
+  const posts = await searchPosts(`md5:${md5}`, { limit: 1 });
+  return posts[0] || null;
+};
+
+/**
+ * Fetch a pool from e6AI API
+ * @param {string|number} poolId - The pool ID to fetch
+ * @returns {Promise<Object>} Pool object, including its ordered post_ids
+ */
+const fetchPoolData = async (poolId) => {
+  try {
+    const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+    if (shouldPrintApiReturns()) {
+      console.log(`Fetching pool ${poolId} from e6AI API... (using ${baseUrl})`);
+    }
+
+    const response = await apiRequest({
+      method: 'get',
+      url: `${baseUrl}/pools/${poolId}.json`,
+      headers: getCommonHeaders()
+    });
+
+    if (shouldPrintApiReturns()) {
+      console.log(`API Response status: ${response.status}`);
+      console.log(`Pool ${poolId} has ${response.data?.post_ids?.length || 0} posts`);
+    }
+
+    return response.data;
+  } catch (error) {
+    handleLookupError(`Pool ${poolId}`, error);
+  }
+};
+
+/**
+ * Fetch a wiki page from e6AI API
+ * @param {string|number} titleOrId - The wiki page title or ID
+ * @returns {Promise<Object>} Wiki page object (title, body, other_names, updated_at, ...)
+ */
+const fetchWikiPage = async (titleOrId) => {
+  // Titles are stored lowercase with underscores instead of spaces
+  const title = String(titleOrId).trim().toLowerCase().replace(/ /g, '_');
+
+  try {
+    const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+    if (shouldPrintApiReturns()) {
+      console.log(`Fetching wiki page ${title} from e6AI API... (using ${baseUrl})`);
+    }
+
+    const response = await apiRequest({
+      method: 'get',
+      url: `${baseUrl}/wiki_pages/${encodeURIComponent(title)}.json`,
+      headers: getCommonHeaders()
+    });
+
     if (shouldPrintApiReturns()) {
       console.log(`API Response status: ${response.status}`);
       console.log(`API Response data keys:`, Object.keys(response.data || {}));
     }
+
+    return response.data;
+  } catch (error) {
+    handleLookupError(`Wiki page ${title}`, error);
+  }
+};
+
+/**
+ * Search wiki page titles, used for autocomplete
+ * @param {string} query - Start of the title to search for
+ * @param {number} limit - Maximum number of pages to return (default: 25)
+ * @returns {Promise<Array<Object>>} Matching wiki pages
+ */
+const searchWikiPages = async (query, limit = 25) => {
+  const title = query.trim().toLowerCase().replace(/ /g, '_');
+
+  try {
+    const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+    const response = await apiRequest({
+      method: 'get',
+      url: `${baseUrl}/wiki_pages.json`,
+      params: {
+        'search[title]': `${title}*`,
+        limit
+      },
+      headers: getCommonHeaders()
+    }, AUTOCOMPLETE_REQUEST);
+
+    return Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    handleLookupError(`Wiki pages matching ${title}`, error);
+  }
+};
+
+/**
+ * Fetch a list endpoint from e6AI API
+ * @param {string} path - Path of the endpoint, e.g. "/tags.json"
+ * @param {Object} params - Query parameters
+ * @param {string} resource - Description of what is fetched, used in errors
+ * @param {Object} [requestOptions] - Options for the shared client, see apiRequest
+ * @returns {Promise<Array<Object>>} The listed records
+ */
+const fetchList = async (path, params, resource, requestOptions = {}) => {
+  try {
+    const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+    const response = await apiRequest({
+      method: 'get',
+      url: `${baseUrl}${path}`,
+      params,
+      headers: getCommonHeaders()
+    }, requestOptions);
+
+    if (shouldPrintApiReturns()) {
+      console.log(`API Response status for ${path}: ${response.status}`);
+    }
+
+    // Empty results come back as an object like {"tag_aliases": []} instead of an array
+    return Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    handleLookupError(resource, error);
+  }
+};
+
+/**
+ * Normalise a tag name the way e6AI stores it
+ * @param {string} name - The tag name as typed
+ * @returns {string} Lowercase tag name with underscores instead of spaces
+ */
+const normaliseTagName = (name) => {
+  return name.trim().toLowerCase().replace(/ /g, '_');
+};
+
+/**
+ * Fetch a tag by its exact name
+ * @param {string} name - The tag name
+ * @returns {Promise<Object|null>} Tag object (name, category, post_count, ...), or null if it doesn't exist
+ */
+const fetchTag = async (name) => {
+  const tagName = normaliseTagName(name);
+  const tags = await fetchList('/tags.json', { 'search[name]': tagName, limit: 1 }, `Tag ${tagName}`);
+  return tags[0] || null;
+};
+
+/**
+ * Fetch the active aliases involving a tag
+ * @param {string} name - The tag name
+ * @returns {Promise<{aliasedTo: Object|null, aliasedFrom: Array<Object>}>} The alias this tag points to, and the aliases pointing to it
+ */
+const fetchTagAliases = async (name) => {
+  const tagName = normaliseTagName(name);
+  const aliasedTo = await fetchList('/tag_aliases.json', {
+    'search[antecedent_name]': tagName,
+    'search[status]': 'active',
+    limit: 1
+  }, `Aliases of ${tagName}`);
+  const aliasedFrom = await fetchList('/tag_aliases.json', {
+    'search[consequent_name]': tagName,
+    'search[status]': 'active',
+    limit: 25
+  }, `Aliases to ${tagName}`);
+
+  return {
+    aliasedTo: aliasedTo[0] || null,
+    aliasedFrom
+  };
+};
+
+/**
+ * Fetch the active implications of a tag
+ * @param {string} name - The tag name
+ * @returns {Promise<Array<Object>>} Implications where the tag is the antecedent
+ */
+const fetchTagImplications = async (name) => {
+  const tagName = normaliseTagName(name);
+  return fetchList('/tag_implications.json', {
+    'search[antecedent_name]': tagName,
+    'search[status]': 'active',
+    limit: 25
+  }, `Implications of ${tagName}`);
+};
+
+/**
+ * Get tag name suggestions from e6AI's tag autocomplete endpoint
+ * @param {string} query - Start of the tag name
+ * @returns {Promise<Array<Object>>} Suggested tags (name, category, post_count, antecedent_name)
+ */
+const autocompleteTags = async (query) => {
+  const tagName = normaliseTagName(query);
+  return fetchList('/tags/autocomplete.json', { 'search[name_matches]': tagName, expiry: 7 }, `Tags matching ${tagName}`, AUTOCOMPLETE_REQUEST);
+};
+
+/**
+ * Request a user profile from e6AI API, remembering the username
+ * @param {string|number} userIdOrName - The user ID or name to fetch
+ * @returns {Promise<Object>} Raw user data
+ * @throws {Error} The axios error if the request fails
+ */
+const requestUser = async (userIdOrName) => {
+  const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+  if (shouldPrintApiReturns()) {
+    console.log(`Fetching user ${userIdOrName} from e6AI API... (using ${baseUrl})`);
+  }
+
+  const response = await apiRequest({
+    method: 'get',
+    url: `${baseUrl}/users/${encodeURIComponent(userIdOrName)}.json`,
+    headers: getCommonHeaders()
+  });
+
+  // Print API response status and data keys only if configured
+  if (shouldPrintApiReturns()) {
+    console.log(`API Response status: ${response.status}`);
+    console.log(`API Response data keys:`, Object.keys(response.data || {}));
+  }
+
+  if (response.data?.id && response.data?.name) {
+    usernameCache.set(response.data.id, response.data.name.trim());
+  }
+
+  return response.data;
+};
+
+/**
+ * Fetch a full user profile from e6AI API
+ * @param {string|number} userIdOrName - The user ID or name to fetch
+ * @returns {Promise<Object>} User object (name, level, counts, avatar_id, created_at, ...)
+ */
+const fetchUserData = async (userIdOrName) => {
+  try {
+    return await requestUser(userIdOrName);
+  } catch (error) {
+    handleLookupError(`User ${userIdOrName}`, error);
+  }
+};
+
+/**
+ * Get username from e6AI user profile using the official API method
+ * @param {string|number} userId - The user ID to fetch
+ * @returns {Promise<string>} The username
+ */
+const getUsername = async (userId) => {
+  const cached = usernameCache.get(userId);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const userData = await requestUser(userId);
     
     // Extract username from JSON response
-    if (response.data && response.data.name) {
-      const username = response.data.name.trim();
+    if (userData && userData.name) {
+      const username = userData.name.trim();
       if (shouldPrintApiReturns()) {
         console.log(`Found username for user ${userId}: ${username}`);
       }
@@ -161,7 +664,7 @@ const getUsername = async (userId) => {
     } else {
       if (shouldPrintApiReturns()) {
         console.log(`Username not found in API response for user ${userId}`);
-        console.log('API response data:', response.data);
+        console.log('API response data:', userData);
       }
       return userId.toString(); // Fallback to user ID
     }
@@ -181,7 +684,7 @@ const getUsername = async (userId) => {
 /**
  * Submit a post replacement to e6AI API
  * @param {string|number} postId - The ID of the post to replace
- * @param {Object} imageData - The image data stream from axios
+ * @param {Buffer} imageData - The file contents (a Buffer so the upload can be retried)
  * @param {string} filename - The filename of the replacement file
  * @param {string} contentType - The content type of the file
  * @param {string} reason - The reason for the replacement
@@ -192,20 +695,23 @@ const getUsername = async (userId) => {
  */
 const submitPostReplacement = async (postId, imageData, filename, contentType, reason, options = {}) => {
   const FormData = require('form-data');
-  const axios = require('axios');
   
   try {
-    const formData = new FormData();
-    formData.append('post_replacement[replacement_file]', imageData, {
-      filename,
-      contentType
-    });
-    formData.append('post_replacement[reason]', reason);
-    
-    if (options.source) {
-      formData.append('post_replacement[source]', options.source);
-    }
-    formData.append('post_replacement[as_pending]', options.asPending ? 'true' : 'false');
+    // The form is a stream, so each attempt needs a fresh one
+    const buildFormData = () => {
+      const formData = new FormData();
+      formData.append('post_replacement[replacement_file]', imageData, {
+        filename,
+        contentType
+      });
+      formData.append('post_replacement[reason]', reason);
+
+      if (options.source) {
+        formData.append('post_replacement[source]', options.source);
+      }
+      formData.append('post_replacement[as_pending]', options.asPending ? 'true' : 'false');
+      return formData;
+    };
 
     const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
     const credentials = getCredentials();
@@ -215,20 +721,24 @@ const submitPostReplacement = async (postId, imageData, filename, contentType, r
       console.log(`With Reason: ${reason}, File: ${filename}`);
     }
 
-    const response = await axios.post(
-      apiUrl,
-      formData,
-      {
+    // A 5xx may still have created the replacement, so only rate-limited submissions are retried
+    const response = await apiRequest(() => {
+      const formData = buildFormData();
+      return {
+        method: 'post',
+        url: apiUrl,
+        data: formData,
         headers: {
           ...formData.getHeaders(),
           'User-Agent': config.api.userAgent.replace('{version}', packageJson.version),
         },
-      }
-    );
+      };
+    }, { retryServerErrors: false, timeout: 120000 });
 
     if (shouldPrintApiReturns()) {
       console.log(`Replacement submission status: ${response.status}`);
     }
+    postCache.delete(postId);
     return response.data;
   } catch (error) {
     console.error('Error submitting post replacement:', error.isAxiosError ? error.toJSON() : error);
@@ -254,7 +764,7 @@ const submitPostReplacement = async (postId, imageData, filename, contentType, r
     } else if (error.response?.status === 404) {
       throw new Error(`Post ${postId} not found`);
     } else {
-      throw new Error(`Failed to submit replacement: ${error.message}`);
+      throw new Error(`Failed to submit replacement: ${error.message}`, { cause: error });
     }
   }
 };
@@ -269,7 +779,9 @@ const undeletePost = async (postId) => {
     const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
     const credentials = getCredentials();
     const undeleteUrl = `${baseUrl}/moderator/post/posts/${postId}/undelete.json`;
-    const response = await axios.post(undeleteUrl, null, {
+    const response = await apiRequest({
+      method: 'post',
+      url: undeleteUrl,
       params: {
         login: credentials.username,
         api_key: credentials.apiKey,
@@ -282,6 +794,7 @@ const undeletePost = async (postId) => {
     if (shouldPrintApiReturns()) {
       console.log(`Undelete request for post ${postId} status: ${response.status}`);
     }
+    postCache.delete(postId);
     return response.data;
   } catch (error) {
     console.error(`Error undeleting post ${postId}:`, error.isAxiosError ? error.toJSON() : error);
@@ -291,7 +804,7 @@ const undeletePost = async (postId) => {
     } else if (error.response?.status === 404) {
       throw new Error(`Post ${postId} not found or already undeleted`);
     } else {
-      throw new Error(`Failed to undelete post: ${error.message}`);
+      throw new Error(`Failed to undelete post: ${error.message}`, { cause: error });
     }
   }
 };
@@ -300,7 +813,19 @@ const undeletePost = async (postId) => {
 module.exports = {
   fetchPostData,
   extractPostFromResponse,
+  searchPosts,
+  findPostByMd5,
+  fetchPoolData,
+  fetchUserData,
+  fetchWikiPage,
+  searchWikiPages,
+  fetchTag,
+  fetchTagAliases,
+  fetchTagImplications,
+  autocompleteTags,
   getUsername,
   submitPostReplacement,
-  undeletePost
+  undeletePost,
+  getClientStats,
+  isTransientError
 };
\ No newline at end of file
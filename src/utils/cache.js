@@ -0,0 +1,113 @@
+/**
+ * TTL Cache - Expiring key/value cache for e6AI lookups
+ *
+ * Entries live in memory and can optionally be persisted to SQLite through
+ * the database module, so long-lived values such as usernames survive a
+ * restart. Values must be JSON-serialisable when persistence is enabled.
+ *
+ * @module cache
+ */
+
+const database = require('./database');
+
+class TtlCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.namespace - Name used to keep persisted entries apart
+   * @param {number} options.ttlMs - How long an entry stays valid in milliseconds
+   * @param {number} options.maxEntries - Maximum number of entries kept in memory (default: 1000)
+   * @param {boolean} options.persist - Also store entries in SQLite (default: false)
+   */
+  constructor({ namespace, ttlMs, maxEntries = 1000, persist = false }) {
+    this.namespace = namespace;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.persist = persist;
+    this.entries = new Map();
+    this.pruned = false;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string|number} key - The cache key
+   * @returns {*} The cached value, or undefined if missing or expired
+   */
+  get(key) {
+    const cacheKey = String(key);
+    const entry = this.entries.get(cacheKey);
+
+    if (entry) {
+      if (entry.expiresAt > Date.now()) {
+        return entry.value;
+      }
+      this.entries.delete(cacheKey);
+    }
+
+    if (!this.persist) {
+      return undefined;
+    }
+
+    // Drop expired rows once per process rather than on every lookup
+    if (!this.pruned) {
+      database.pruneCacheEntries();
+      this.pruned = true;
+    }
+
+    const result = database.getCacheEntry(this.namespace, cacheKey);
+    if (!result.success || !result.entry || result.entry.expires_at <= Date.now()) {
+      return undefined;
+    }
+
+    const value = JSON.parse(result.entry.value);
+    this.remember(cacheKey, value, result.entry.expires_at);
+    return value;
+  }
+
+  /**
+   * Store a value
+   * @param {string|number} key - The cache key
+   * @param {*} value - The value to cache
+   */
+  set(key, value) {
+    const cacheKey = String(key);
+    const expiresAt = Date.now() + this.ttlMs;
+    this.remember(cacheKey, value, expiresAt);
+
+    if (this.persist) {
+      database.setCacheEntry(this.namespace, cacheKey, JSON.stringify(value), expiresAt);
+    }
+  }
+
+  /**
+   * Remove a value so the next lookup goes to the API
+   * @param {string|number} key - The cache key
+   */
+  delete(key) {
+    const cacheKey = String(key);
+    this.entries.delete(cacheKey);
+
+    if (this.persist) {
+      database.deleteCacheEntry(this.namespace, cacheKey);
+    }
+  }
+
+  /**
+   * Store a value in memory, evicting the oldest entry when full
+   * @param {string} cacheKey - The cache key
+   * @param {*} value - The value to cache
+   * @param {number} expiresAt - Expiry time in milliseconds since the epoch
+   */
+  remember(cacheKey, value, expiresAt) {
+    // Re-inserting moves the key to the end of the Map's insertion order
+    this.entries.delete(cacheKey);
+    this.entries.set(cacheKey, { value, expiresAt });
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = {
+  TtlCache
+};
@@ -1,5 +1,23 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { STATUSES, ACTIVE_STATUSES, canTransition } = require('./requestLifecycle');
+
+// Requesters can only change a request no Janitor is working on
+const AMENDABLE_STATUSES = [STATUSES.SUBMITTED];
+
+// Per-channel LinkListener options with their link_listener_channels columns and defaults
+const LINK_LISTENER_SETTINGS = {
+    expandPosts: { column: 'expand_posts', type: 'BOOLEAN', default: true },
+    expandPools: { column: 'expand_pools', type: 'BOOLEAN', default: true },
+    expandUsers: { column: 'expand_users', type: 'BOOLEAN', default: true },
+    expandWiki: { column: 'expand_wiki', type: 'BOOLEAN', default: true },
+    includeDescriptions: { column: 'include_descriptions', type: 'BOOLEAN', default: true },
+    compactEmbeds: { column: 'compact_embeds', type: 'BOOLEAN', default: false },
+    maxPosts: { column: 'max_posts', type: 'INTEGER', default: 5 },
+    suppressEmbeds: { column: 'suppress_embeds', type: 'BOOLEAN', default: false },
+    ratingCeiling: { column: 'rating_ceiling', type: 'TEXT', default: 'e' },
+    shortReferences: { column: 'short_references', type: 'BOOLEAN', default: false }
+};
 
 class KnowledgeBaseDB {
     constructor() {
@@ -59,6 +77,100 @@ class KnowledgeBaseDB {
         `;
 
         this.db.exec(createLinkListenerSQL);
+
+        // Add LinkListener setting columns if they don't exist (for existing databases)
+        for (const setting of Object.values(LINK_LISTENER_SETTINGS)) {
+            const defaultValue = typeof setting.default === 'string' ? `'${setting.default}'` : Number(setting.default);
+            try {
+                this.db.exec(`ALTER TABLE link_listener_channels ADD COLUMN ${setting.column} ${setting.type} NOT NULL DEFAULT ${defaultValue}`);
+            } catch (error) {
+                // Column already exists, ignore error
+                if (!error.message.includes('duplicate column name')) {
+                    console.error(`Error adding ${setting.column} column:`, error);
+                }
+            }
+        }
+
+        // Create replacement requests table
+        const createReplacementRequestsSQL = `
+            CREATE TABLE IF NOT EXISTS replacement_requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                post_id TEXT NOT NULL,
+                requester_id TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                replacement_url TEXT,
+                content_type TEXT,
+                channel_id TEXT,
+                main_message_id TEXT,
+                replacement_message_id TEXT,
+                original_message_id TEXT,
+                status TEXT NOT NULL DEFAULT 'submitted',
+                moderator_id TEXT,
+                claimed_by TEXT,
+                claimed_at DATETIME,
+                submission_reason TEXT,
+                submission_source TEXT,
+                submission_as_pending BOOLEAN,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                resolved_at DATETIME
+            )
+        `;
+
+        this.db.exec(createReplacementRequestsSQL);
+
+        // Add claim and submission columns if they don't exist (for existing databases)
+        const addedColumns = [
+            'claimed_by TEXT',
+            'claimed_at DATETIME',
+            'submission_reason TEXT',
+            'submission_source TEXT',
+            'submission_as_pending BOOLEAN',
+            'content_type TEXT'
+        ];
+        for (const column of addedColumns) {
+            try {
+                this.db.exec(`ALTER TABLE replacement_requests ADD COLUMN ${column}`);
+            } catch (error) {
+                // Column already exists, ignore error
+                if (!error.message.includes('duplicate column name')) {
+                    console.error(`Error adding ${column} column:`, error);
+                }
+            }
+        }
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_replacement_requests_post ON replacement_requests (post_id, status)');
+
+        // Requests stored before the lifecycle was introduced used 'pending'
+        this.db.exec(`UPDATE replacement_requests SET status = 'submitted' WHERE status = 'pending'`);
+
+        // Create replacement request history table
+        const createReplacementHistorySQL = `
+            CREATE TABLE IF NOT EXISTS replacement_request_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                request_id INTEGER NOT NULL REFERENCES replacement_requests(id),
+                from_status TEXT,
+                to_status TEXT NOT NULL,
+                actor_id TEXT,
+                note TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        this.db.exec(createReplacementHistorySQL);
+        this.db.exec('CREATE INDEX IF NOT EXISTS idx_replacement_history_request ON replacement_request_history (request_id)');
+
+        // Create API cache table, expires_at is in milliseconds since the epoch
+        const createApiCacheSQL = `
+            CREATE TABLE IF NOT EXISTS api_cache (
+                namespace TEXT NOT NULL,
+                cache_key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                PRIMARY KEY (namespace, cache_key)
+            )
+        `;
+
+        this.db.exec(createApiCacheSQL);
     }
 
     addEntry(simpleName, title, body, imageUrl, createdBy) {
@@ -189,6 +301,419 @@ class KnowledgeBaseDB {
         }
     }
 
+    getLinkListenerSettings(channelId) {
+        this.initialize();
+        const settings = { enabled: false };
+        for (const [key, setting] of Object.entries(LINK_LISTENER_SETTINGS)) {
+            settings[key] = setting.default;
+        }
+
+        try {
+            const row = this.db.prepare('SELECT * FROM link_listener_channels WHERE channel_id = ?').get(channelId);
+            if (row) {
+                settings.enabled = row.enabled === 1;
+                for (const [key, setting] of Object.entries(LINK_LISTENER_SETTINGS)) {
+                    settings[key] = setting.type === 'BOOLEAN' ? row[setting.column] === 1 : row[setting.column];
+                }
+            }
+        } catch (error) {
+            // Fall back to the defaults, with the listener disabled
+            console.error('Error fetching link listener settings:', error);
+        }
+
+        return settings;
+    }
+
+    updateLinkListenerSettings(channelId, changes) {
+        this.initialize();
+        try {
+            const entries = Object.entries(changes).filter(([key, value]) => LINK_LISTENER_SETTINGS[key] && value !== undefined && value !== null);
+
+            // Channels configured before being enabled get a row that stays disabled
+            this.db.prepare('INSERT OR IGNORE INTO link_listener_channels (channel_id, enabled) VALUES (?, 0)').run(channelId);
+
+            if (entries.length > 0) {
+                const assignments = entries.map(([key]) => `${LINK_LISTENER_SETTINGS[key].column} = ?`).join(', ');
+                const values = entries.map(([key, value]) => (LINK_LISTENER_SETTINGS[key].type === 'BOOLEAN' ? (value ? 1 : 0) : value));
+                this.db.prepare(`UPDATE link_listener_channels SET ${assignments} WHERE channel_id = ?`).run(...values, channelId);
+            }
+
+            return { success: true, settings: this.getLinkListenerSettings(channelId) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    createReplacementRequest(postId, requesterId, reason, replacementUrl, contentType, channelId) {
+        this.initialize();
+        try {
+            const insertStmt = this.db.prepare(`
+                INSERT INTO replacement_requests (post_id, requester_id, reason, replacement_url, content_type, channel_id, status)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `);
+            const historyStmt = this.db.prepare(`
+                INSERT INTO replacement_request_history (request_id, from_status, to_status, actor_id)
+                VALUES (?, NULL, ?, ?)
+            `);
+
+            const create = this.db.transaction(() => {
+                const result = insertStmt.run(postId.toString(), requesterId, reason, replacementUrl || null, contentType || null, channelId || null, STATUSES.SUBMITTED);
+                const id = Number(result.lastInsertRowid);
+                historyStmt.run(id, STATUSES.SUBMITTED, requesterId);
+                return id;
+            });
+
+            return { success: true, id: create() };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    getReplacementRequest(id) {
+        this.initialize();
+        try {
+            const stmt = this.db.prepare('SELECT * FROM replacement_requests WHERE id = ?');
+            const request = stmt.get(id);
+
+            if (!request) {
+                return { success: false, error: 'Replacement request not found.' };
+            }
+
+            return { success: true, request };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    findPendingReplacementRequest(postId, requesterId) {
+        this.initialize();
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM replacement_requests
+                WHERE post_id = ? AND requester_id = ? AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})
+                ORDER BY created_at DESC
+                LIMIT 1
+            `);
+            const request = stmt.get(postId.toString(), requesterId, ...ACTIVE_STATUSES);
+
+            if (!request) {
+                return { success: false, error: 'Replacement request not found.' };
+            }
+
+            return { success: true, request };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    setReplacementRequestMessages(id, mainMessageId, replacementMessageId, originalMessageId, replacementUrl) {
+        this.initialize();
+        try {
+            const stmt = this.db.prepare(`
+                UPDATE replacement_requests
+                SET main_message_id = ?, replacement_message_id = ?, original_message_id = ?,
+                    replacement_url = COALESCE(?, replacement_url), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `);
+
+            const result = stmt.run(mainMessageId || null, replacementMessageId || null, originalMessageId || null, replacementUrl || null, id);
+
+            if (result.changes === 0) {
+                return { success: false, error: 'Replacement request not found.' };
+            }
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    transitionReplacementRequest(id, toStatus, actorId, note) {
+        this.initialize();
+        try {
+            const request = this.db.prepare('SELECT status FROM replacement_requests WHERE id = ?').get(id);
+
+            if (!request) {
+                return { success: false, error: 'Replacement request not found.' };
+            }
+
+            if (!canTransition(request.status, toStatus)) {
+                return { success: false, error: `Cannot change a request from ${request.status} to ${toStatus}.`, status: request.status };
+            }
+
+            const isFinal = !ACTIVE_STATUSES.includes(toStatus);
+
+            // Claiming records the owner, returning to submitted releases it, anything else keeps it
+            const isClaim = toStatus === STATUSES.CLAIMED;
+            const isRelease = toStatus === STATUSES.SUBMITTED;
+
+            const updateStmt = this.db.prepare(`
+                UPDATE replacement_requests
+                SET status = ?, moderator_id = COALESCE(?, moderator_id), updated_at = CURRENT_TIMESTAMP,
+                    resolved_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE NULL END,
+                    claimed_by = CASE WHEN ? THEN ? WHEN ? THEN NULL ELSE claimed_by END,
+                    claimed_at = CASE WHEN ? THEN CURRENT_TIMESTAMP WHEN ? THEN NULL ELSE claimed_at END
+                WHERE id = ? AND status = ?
+            `);
+            const historyStmt = this.db.prepare(`
+                INSERT INTO replacement_request_history (request_id, from_status, to_status, actor_id, note)
+                VALUES (?, ?, ?, ?, ?)
+            `);
+
+            // Only apply the transition if nobody changed the status in the meantime
+            const transition = this.db.transaction(() => {
+                const result = updateStmt.run(
+                    toStatus, isFinal ? actorId || null : null, isFinal ? 1 : 0,
+                    isClaim ? 1 : 0, actorId || null, isRelease ? 1 : 0,
+                    isClaim ? 1 : 0, isRelease ? 1 : 0,
+                    id, request.status
+                );
+                if (result.changes === 0) {
+                    return false;
+                }
+                historyStmt.run(id, request.status, toStatus, actorId || null, note || null);
+                return true;
+            });
+
+            if (!transition()) {
+                return { success: false, error: 'Replacement request was changed by someone else.' };
+            }
+
+            return { success: true, fromStatus: request.status };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    setReplacementRequestClaim(id, status, fromClaimedBy, toClaimedBy, actorId, note) {
+        this.initialize();
+        try {
+            // Changes who holds the claim without moving the request, for statuses that keep their claim
+            const updateStmt = this.db.prepare(`
+                UPDATE replacement_requests
+                SET claimed_by = ?, claimed_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = ? AND claimed_by IS ?
+            `);
+            const historyStmt = this.db.prepare(`
+                INSERT INTO replacement_request_history (request_id, from_status, to_status, actor_id, note)
+                VALUES (?, ?, ?, ?, ?)
+            `);
+
+            // Only apply the change if nobody changed the status or the claim in the meantime
+            const change = this.db.transaction(() => {
+                const result = updateStmt.run(toClaimedBy || null, toClaimedBy || null, id, status, fromClaimedBy || null);
+                if (result.changes === 0) {
+                    return false;
+                }
+                historyStmt.run(id, status, status, actorId || null, note || null);
+                return true;
+            });
+
+            if (!change()) {
+                return { success: false, error: 'Replacement request was changed by someone else.' };
+            }
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    listActiveReplacementRequests(filters = {}, limit = 5, offset = 0) {
+        this.initialize();
+        try {
+            const conditions = [`status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})`];
+            const params = [...ACTIVE_STATUSES];
+
+            if (filters.requesterId) {
+                conditions.push('requester_id = ?');
+                params.push(filters.requesterId);
+            }
+            if (filters.minAgeHours) {
+                conditions.push(`created_at <= datetime('now', ?)`);
+                params.push(`-${Number(filters.minAgeHours)} hours`);
+            }
+
+            const where = conditions.join(' AND ');
+            const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM replacement_requests WHERE ${where}`).get(...params);
+            const requests = this.db.prepare(`
+                SELECT * FROM replacement_requests
+                WHERE ${where}
+                ORDER BY created_at ASC, id ASC
+                LIMIT ? OFFSET ?
+            `).all(...params, limit, offset);
+
+            return { success: true, requests, total };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    setReplacementRequestSubmission(id, reason, source, asPending) {
+        this.initialize();
+        try {
+            const stmt = this.db.prepare(`
+                UPDATE replacement_requests
+                SET submission_reason = ?, submission_source = ?, submission_as_pending = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `);
+
+            const result = stmt.run(reason, source || null, asPending ? 1 : 0, id);
+
+            if (result.changes === 0) {
+                return { success: false, error: 'Replacement request not found.' };
+            }
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    amendReplacementRequest(id, reason, replacementUrl, contentType, actorId, note) {
+        this.initialize();
+        try {
+            const updateStmt = this.db.prepare(`
+                UPDATE replacement_requests
+                SET reason = COALESCE(?, reason), replacement_url = COALESCE(?, replacement_url),
+                    content_type = COALESCE(?, content_type), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status IN (${AMENDABLE_STATUSES.map(() => '?').join(', ')})
+            `);
+            const historyStmt = this.db.prepare(`
+                INSERT INTO replacement_request_history (request_id, from_status, to_status, actor_id, note)
+                SELECT id, status, status, ?, ? FROM replacement_requests WHERE id = ?
+            `);
+
+            // Only amend the request if no Janitor has picked it up in the meantime
+            const amend = this.db.transaction(() => {
+                const result = updateStmt.run(reason || null, replacementUrl || null, contentType || null, id, ...AMENDABLE_STATUSES);
+                if (result.changes > 0) {
+                    historyStmt.run(actorId || null, note || null, id);
+                }
+                return result.changes;
+            });
+
+            if (amend() === 0) {
+                return { success: false, error: 'Replacement request was changed by someone else.' };
+            }
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    listExpiredClaims(timeoutMinutes) {
+        this.initialize();
+        try {
+            // Requests waiting for an undelete keep the claim of the moderator who accepted them
+            const stmt = this.db.prepare(`
+                SELECT * FROM replacement_requests
+                WHERE status IN (?, ?) AND claimed_by IS NOT NULL AND claimed_at <= datetime('now', ?)
+            `);
+            const requests = stmt.all(STATUSES.CLAIMED, STATUSES.UNDELETE_REQUIRED, `-${Number(timeoutMinutes)} minutes`);
+
+            return { success: true, requests };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    getReplacementRequestHistory(postId, limit = 10) {
+        this.initialize();
+        try {
+            const requestsStmt = this.db.prepare(`
+                SELECT * FROM replacement_requests
+                WHERE post_id = ?
+                ORDER BY created_at DESC, id DESC
+                LIMIT ?
+            `);
+            const historyStmt = this.db.prepare(`
+                SELECT * FROM replacement_request_history
+                WHERE request_id = ?
+                ORDER BY created_at ASC, id ASC
+            `);
+
+            const requests = requestsStmt.all(postId.toString(), limit).map(request => ({
+                ...request,
+                history: historyStmt.all(request.id)
+            }));
+
+            return { success: true, requests };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    deleteReplacementRequest(id) {
+        this.initialize();
+        try {
+            const historyStmt = this.db.prepare('DELETE FROM replacement_request_history WHERE request_id = ?');
+            const stmt = this.db.prepare('DELETE FROM replacement_requests WHERE id = ?');
+            const result = this.db.transaction(() => {
+                historyStmt.run(id);
+                return stmt.run(id);
+            })();
+
+            if (result.changes === 0) {
+                return { success: false, error: 'Replacement request not found.' };
+            }
+
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    getCacheEntry(namespace, key) {
+        this.initialize();
+        try {
+            const stmt = this.db.prepare('SELECT value, expires_at FROM api_cache WHERE namespace = ? AND cache_key = ?');
+            const entry = stmt.get(namespace, key);
+            return { success: true, entry };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    setCacheEntry(namespace, key, value, expiresAt) {
+        this.initialize();
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO api_cache (namespace, cache_key, value, expires_at)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT (namespace, cache_key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+            `);
+            stmt.run(namespace, key, value, expiresAt);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    deleteCacheEntry(namespace, key) {
+        this.initialize();
+        try {
+            const stmt = this.db.prepare('DELETE FROM api_cache WHERE namespace = ? AND cache_key = ?');
+            stmt.run(namespace, key);
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    pruneCacheEntries() {
+        this.initialize();
+        try {
+            const stmt = this.db.prepare('DELETE FROM api_cache WHERE expires_at <= ?');
+            const result = stmt.run(Date.now());
+            return { success: true, removed: result.changes };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     close() {
         if (this.db) {
             this.db.close();
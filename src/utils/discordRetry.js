@@ -35,6 +35,22 @@ function validateFileSize(attachment) {
     return { valid: true, size: size };
 }
 
+/**
+ * Gets the largest file the bot can upload to a channel
+ * @param {Object} channel - Discord channel
+ * @returns {number} - Upload limit in bytes, based on the guild's boost tier
+ */
+function getChannelUploadLimit(channel) {
+    const premiumTier = channel?.guild?.premiumTier ?? 0;
+    if (premiumTier >= 3) {
+        return FILE_SIZE_LIMITS.NITRO;
+    }
+    if (premiumTier === 2) {
+        return FILE_SIZE_LIMITS.NITRO_BASIC;
+    }
+    return FILE_SIZE_LIMITS.DEFAULT;
+}
+
 /**
  * Validates attachment file type for replacement images
  * @param {Object} attachment - Discord attachment object
@@ -45,14 +61,14 @@ function validateFileType(attachment) {
         return { valid: false, message: 'Invalid attachment or missing filename' };
     }
 
-    const allowedExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+    const allowedExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.mp4', '.webm'];
     const fileName = attachment.name.toLowerCase();
     const isValidType = allowedExtensions.some(ext => fileName.endsWith(ext));
 
     if (!isValidType) {
         return {
             valid: false,
-            message: `Invalid file type. Please upload an image file (${allowedExtensions.join(', ')})`
+            message: `Invalid file type. Please upload an image or video file (${allowedExtensions.join(', ')})`
         };
     }
 
@@ -141,6 +157,7 @@ module.exports = {
     FILE_SIZE_LIMITS,
     validateFileSize,
     validateFileType,
+    getChannelUploadLimit,
     retryDiscordCall,
     sendMessageSafely,
     editInteractionSafely,
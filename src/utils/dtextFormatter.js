@@ -1,91 +1,682 @@
 const config = require('../../config.json');
+const dtextParser = require('./dtextParser');
+
+const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+
+// Site paths for "post #123" style references
+const REFERENCE_PATHS = {
+  post: 'posts',
+  pool: 'pools',
+  user: 'users',
+  comment: 'comments',
+  forum: 'forum_posts',
+  topic: 'forum_topics',
+  set: 'post_sets',
+  wiki: 'wiki_pages'
+};
+
+/**
+ * Escape characters Discord would read as markdown
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) => text
+  .replace(/[\\*_~|`]/g, '\\$&')
+  .replace(/^(\s*)([#>-])(?=\s)/gm, '$1\\$2');
+
+/**
+ * Escape characters that would end a markdown link label early
+ * @param {string} label - Link label
+ * @returns {string} Escaped label
+ */
+const escapeLabel = (label) => escapeText(label).replace(/[[\]]/g, '\\$&');
+
+/**
+ * Make a site-relative URL absolute
+ * @param {string} url - Absolute, site-relative or anchor URL
+ * @returns {string} Absolute URL
+ */
+const absoluteUrl = (url) => {
+  if (url.startsWith('/')) return `${baseUrl}${url}`;
+  if (url.startsWith('#')) return `${baseUrl}/${url}`;
+  return url;
+};
+
+/**
+ * Build a markdown link, keeping Discord from embedding bare URLs
+ * @param {string} label - Link label
+ * @param {string} url - Link target
+ * @returns {string} Markdown link
+ */
+const markdownLink = (label, url) => {
+  const target = absoluteUrl(url).replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+  if (!label || label === url) return `<${target}>`;
+  return `[${escapeLabel(label)}](${target})`;
+};
+
+/**
+ * Wrap content in a markdown marker, keeping surrounding whitespace outside
+ * the marker since Discord ignores markers next to spaces
+ * @param {string} content - Rendered content
+ * @param {string} marker - Marker such as ** or ||
+ * @returns {string} Wrapped content
+ */
+const wrap = (content, marker) => {
+  const [, leading, inner, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!inner) return content;
+  return `${leading}${marker}${inner}${marker}${trailing}`;
+};
+
+/**
+ * Normalise a wiki title the way e6AI builds wiki URLs
+ * @param {string} title - Wiki page title
+ * @returns {string} Title for use in a URL
+ */
+const wikiPath = (title) => encodeURIComponent(title.trim().toLowerCase().replace(/\s+/g, '_'));
+
+/**
+ * Cut text to a length, preferring the last word break
+ * @param {string} text - Text to cut
+ * @param {number} limit - Maximum length
+ * @returns {string} Text no longer than the limit
+ */
+const truncateText = (text, limit) => {
+  if (text.length <= limit) return text;
+
+  let cut = text.substring(0, Math.max(limit, 0));
+  const lastSpace = cut.search(/\s\S*$/);
+  if (lastSpace > limit / 2) {
+    cut = cut.substring(0, lastSpace);
+  }
+  // Don't leave a lone escape character to swallow whatever follows
+  return cut.replace(/\\+$/, slashes => (slashes.length % 2 ? slashes.slice(0, -1) : slashes));
+};
+
+/**
+ * Collects rendered markdown within a length limit in a single pass.
+ * Whitespace is held back until the next word, so markers hug their text
+ * and blocks can drop leading and trailing blank space. Every opened
+ * marker keeps room reserved for its closing marker, so writing can stop
+ * at any word and the output is still closed properly.
+ */
+class MarkdownWriter {
+  constructor(limit = Infinity) {
+    this.limit = limit;
+    this.output = '';
+    this.pending = '';
+    // Open constructs, innermost last. The first openedCount have written their opening marker.
+    this.frames = [];
+    this.openedCount = 0;
+    this.reserved = 0;
+    this.stopped = false;
+  }
+
+  /**
+   * Line prefix for the open constructs, such as "> " inside a quote
+   * @returns {string} Prefix to write after each line break
+   */
+  get prefix() {
+    return this.frames.map(frame => frame.prefix).join('');
+  }
+
+  /**
+   * Start a construct. Its opening marker is written lazily, before its first word.
+   * @param {Object} frame - Construct options
+   * @param {string} frame.open - Opening marker
+   * @param {string} frame.close - Closing marker
+   * @param {string} frame.prefix - Written after each line break inside the construct
+   * @param {boolean} frame.trim - Drop whitespace at the start and end of the construct
+   */
+  enter({ open = '', close = '', prefix = '', trim = false } = {}) {
+    this.frames.push({ open, close, prefix, trim });
+  }
+
+  /**
+   * End the innermost construct, writing its closing marker if it was opened
+   */
+  exit() {
+    const frame = this.frames.pop();
+    if (this.frames.length >= this.openedCount) return;
+
+    this.openedCount--;
+    if (frame.trim) {
+      this.pending = '';
+    }
+    this.output += frame.close;
+    this.reserved -= frame.close.length;
+  }
+
+  /**
+   * Hold whitespace until the next word
+   * @param {string} whitespace - Whitespace to write
+   */
+  space(whitespace) {
+    if (this.stopped) return;
+    for (let index = this.frames.length - 1; index >= this.openedCount; index--) {
+      if (this.frames[index].trim) return;
+    }
+    this.pending += whitespace.replace(/\n/g, `\n${this.prefix}`);
+  }
+
+  /**
+   * Write something that must not be split, or stop if it doesn't fit
+   * @param {string} word - Text without line breaks
+   */
+  word(word) {
+    if (this.stopped || !word) return;
+
+    let opening = '';
+    let closing = 0;
+    for (let index = this.openedCount; index < this.frames.length; index++) {
+      opening += this.frames[index].open;
+      closing += this.frames[index].close.length;
+    }
+
+    const length = this.output.length + this.pending.length + opening.length + word.length;
+    if (length + this.reserved + closing > this.limit) {
+      this.stopped = true;
+      return;
+    }
+
+    this.output += this.pending + opening + word;
+    this.pending = '';
+    this.openedCount = this.frames.length;
+    this.reserved += closing;
+  }
+
+  /**
+   * Write text, which may be cut between any two words
+   * @param {string} text - Rendered text
+   */
+  text(text) {
+    for (const [part] of text.matchAll(/\s+|\S+/g)) {
+      if (/^\s/.test(part)) {
+        this.space(part);
+      } else {
+        this.word(part);
+      }
+    }
+  }
+}
+
+// Markers for constructs that map directly onto Discord markdown
+const INLINE_MARKERS = {
+  bold: '**',
+  italic: '*',
+  underline: '__',
+  strike: '~~',
+  spoiler: '||'
+};
+
+/**
+ * Render table rows as one line per row with cells separated by pipes
+ * @param {Object} node - Table or table group node
+ * @returns {Array<string>} Rendered rows
+ */
+const renderTableRows = (node) => node.children.flatMap(child => {
+  if (child.type === 'table_group') return renderTableRows(child);
+  if (child.type !== 'table_row') return [];
+
+  return [child.children
+    .filter(cell => cell.type === 'table_cell' || cell.type === 'table_header')
+    .map(cell => {
+      const writer = new MarkdownWriter();
+      renderChildren(cell, writer);
+      const content = writer.output.replace(/\s+/g, ' ').trim();
+      return cell.type === 'table_header' ? wrap(content, '**') : content;
+    })
+    .join(' | ')];
+});
+
+/**
+ * Render a node whose output can't be shortened, such as a link
+ * @param {Object} node - Leaf node
+ * @returns {string} Discord markdown
+ */
+const renderLeaf = (node) => {
+  switch (node.type) {
+    case 'link':
+      return markdownLink(node.label, node.url);
+    case 'url':
+      return `<${node.url}>`;
+    case 'wiki': {
+      const [title, anchor] = node.title.split('#');
+      const url = `/wiki_pages/${wikiPath(title)}${anchor ? `#${anchor}` : ''}`;
+      return markdownLink(node.label || title, url);
+    }
+    case 'search':
+      return markdownLink(node.label || node.tags, `/posts?tags=${encodeURIComponent(node.tags)}`);
+    case 'reference':
+      return markdownLink(`${node.kind} #${node.id}`, `/${REFERENCE_PATHS[node.kind]}/${node.id}`);
+    case 'mention':
+      return markdownLink(`@${node.name}`, `/users?name=${encodeURIComponent(node.name)}`);
+    case 'code': {
+      const fence = node.value.includes('`') ? '``' : '`';
+      return `${fence}${node.value}${fence}`;
+    }
+    default:
+      return '';
+  }
+};
+
+/**
+ * Render a node as Discord markdown
+ * @param {Object} node - Node from dtextParser.parse
+ * @param {MarkdownWriter} writer - Writer collecting the output
+ */
+const renderNode = (node, writer) => {
+  if (INLINE_MARKERS[node.type]) {
+    writer.enter({ open: INLINE_MARKERS[node.type], close: INLINE_MARKERS[node.type] });
+    renderChildren(node, writer);
+    writer.exit();
+    return;
+  }
+
+  switch (node.type) {
+    case 'text':
+      writer.text(escapeText(node.value));
+      break;
+    case 'newline':
+      writer.space('\n');
+      break;
+    case 'quote':
+      writer.space('\n');
+      writer.enter({ open: '> ', prefix: '> ', trim: true });
+      renderChildren(node, writer);
+      writer.exit();
+      writer.space('\n');
+      break;
+    case 'section':
+      writer.space('\n');
+      writer.word(`**${node.expanded ? '▼' : '▶'} ${escapeText(node.title || 'Section')}**`);
+      writer.space('\n');
+      // Collapsed sections are hidden behind a spoiler until clicked
+      writer.enter(node.expanded ? { trim: true } : { open: '||', close: '||', trim: true });
+      renderChildren(node, writer);
+      writer.exit();
+      writer.space('\n');
+      break;
+    case 'table':
+      // Rows are kept whole, a half row reads as a different table
+      writer.space('\n');
+      renderTableRows(node).forEach((row, index) => {
+        if (index > 0) writer.space('\n');
+        writer.word(row);
+      });
+      writer.space('\n');
+      break;
+    case 'heading':
+      // Discord only has three heading sizes
+      writer.enter({ open: `${'#'.repeat(Math.min(node.level, 3))} `, trim: true });
+      renderChildren(node, writer);
+      writer.exit();
+      break;
+    case 'list_item':
+      writer.enter({ open: `${'  '.repeat(node.depth - 1)}- `, trim: true });
+      renderChildren(node, writer);
+      writer.exit();
+      break;
+    case 'code':
+      if (node.block) {
+        const code = node.value.replace(/^\n+|\n+$/g, '').replace(/```/g, '`\u200b``');
+        if (!code.trim()) break;
+
+        // Code is cut between lines, never inside one
+        const prefix = writer.prefix;
+        writer.space('\n');
+        writer.enter({ open: `\`\`\`\n${prefix}`, close: `\n${prefix}\`\`\`` });
+        code.split('\n').forEach((line, index) => {
+          if (index > 0) writer.space('\n');
+          writer.word(line);
+        });
+        writer.exit();
+        writer.space('\n');
+        break;
+      }
+      writer.word(renderLeaf(node));
+      break;
+    case 'link':
+    case 'url':
+    case 'wiki':
+    case 'search':
+    case 'reference':
+    case 'mention':
+      writer.word(renderLeaf(node));
+      break;
+    default:
+      // sup, sub, color and table parts outside a table have no Discord equivalent
+      if (node.children) renderChildren(node, writer);
+  }
+};
+
+/**
+ * Render all children of a node
+ * @param {Object} node - Parent node
+ * @param {MarkdownWriter} writer - Writer collecting the output
+ */
+const renderChildren = (node, writer) => {
+  for (const child of node.children) {
+    if (writer.stopped) return;
+    renderNode(child, writer);
+  }
+};
+
+/**
+ * Render a parsed tree as Discord markdown
+ * @param {Object} tree - Root node from dtextParser.parse
+ * @param {number} limit - Maximum length of the output (default: no limit)
+ * @returns {string} Discord markdown
+ */
+const renderTree = (tree, limit = Infinity) => {
+  const writer = new MarkdownWriter(limit);
+  renderChildren(tree, writer);
+  return writer.output;
+};
+
+/**
+ * Render a node as plain text
+ * @param {Object} node - Node from dtextParser.parse
+ * @returns {string} Plain text
+ */
+const renderPlain = (node) => {
+  switch (node.type) {
+    case 'text':
+    case 'code':
+      return node.value;
+    case 'newline':
+      return '\n';
+    case 'link':
+      return node.label;
+    case 'url':
+      return node.url;
+    case 'wiki':
+      return node.label || node.title;
+    case 'search':
+      return node.label || node.tags;
+    case 'reference':
+      return `${node.kind} #${node.id}`;
+    case 'mention':
+      return `@${node.name}`;
+    case 'section':
+      return `${node.title ? `${node.title}\n` : ''}${node.children.map(renderPlain).join('')}\n`;
+    case 'table_cell':
+    case 'table_header':
+      return `${node.children.map(renderPlain).join('')} `;
+    default:
+      return node.children ? node.children.map(renderPlain).join('') : '';
+  }
+};
+
+/**
+ * Clean up excessive whitespace left around blocks
+ * @param {string} markdown - Rendered markdown
+ * @returns {string} Tidied markdown
+ */
+const tidy = (markdown) => markdown
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .replace(/\n>(?:\n>)+\n/g, '\n>\n')
+  .trim();
+
+/**
+ * Discord's length limits for the places rendered DText ends up
+ */
+module.exports.DTEXT_BUDGETS = {
+  description: 4096,
+  // A post description shown next to the tag fields, which share the 6000 character embed total
+  taggedDescription: 3000,
+  autocomplete: 100
+};
+
+/**
+ * Convert e6AI DText to Discord markdown, cutting it to fit a length budget
+ * @param {string} dtext - The DText to convert
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxLength - Maximum length of the output, see DTEXT_BUDGETS (default: no limit)
+ * @param {string} options.readMoreUrl - Link appended when the text is cut (default: none)
+ * @returns {{text: string, truncated: boolean}} Formatted Discord markdown and whether it was cut
+ */
+module.exports.renderDText = (dtext, options = {}) => {
+  const {
+    maxLength = Infinity,
+    readMoreUrl = null
+  } = options;
+
+  if (!dtext) return { text: '', truncated: false };
+
+  const tree = dtextParser.parse(dtext);
+  const text = tidy(renderTree(tree));
+  if (text.length <= maxLength) {
+    return { text, truncated: false };
+  }
+
+  const suffix = readMoreUrl ? `\n\n[…read more](${readMoreUrl})` : '…';
+  return {
+    text: `${tidy(renderTree(tree, Math.max(maxLength - suffix.length, 0)))}${suffix}`,
+    truncated: true
+  };
+};
 
 /**
  * Convert e6AI DText to Discord markdown format
  * @param {string} dtext - The DText to convert
+ * @param {Object} options - Length options, as for renderDText
  * @returns {string} Formatted Discord markdown
  */
-module.exports.formatDText = (dtext) => {
-  if (!dtext) return '';
-  
-  let formatted = dtext;
-  
-  // First, convert all formatting tags to preserve their content
-  formatted = formatted.replace(/\[i\](.*?)\[\/i\]/g, '*$1*');
-  formatted = formatted.replace(/\[b\](.*?)\[\/b\]/g, '**$1**');
-  formatted = formatted.replace(/\[i\]\[b\](.*?)\[\/b\]\[\/i\]/g, '***$1***');
-  formatted = formatted.replace(/\[b\]\[i\](.*?)\[\/i\]\[\/b\]/g, '***$1***');
-  
-  // Convert links "text":link -> [text](link)
-  // Handle links with formatting inside them
-  formatted = formatted.replace(/\"([^"]+)\":([^>\)\s]+)\)/g, (match, text, url) => {
-    // Remove any remaining formatting from the link text
-    let cleanText = text.replace(/\*\*/g, '').replace(/\*/g, '').replace(/_/g, '');
-    return `[${cleanText}](${url})`;
-  });
-  
-  // Handle links without closing parenthesis - preserve complete text
-  formatted = formatted.replace(/\"([^"]+)\":([^>\)\s]+)$/g, (match, text, url) => {
-    // Remove any remaining formatting from the link text but preserve complete text
-    let cleanText = text.replace(/\*\*/g, '').replace(/\*/g, '').replace(/_/g, '');
-    return `[${cleanText}](${url})`;
-  });
-  
-  // Handle basic "text":link format (most common case)
-  formatted = formatted.replace(/\"([^"]+)\":([^>\s]+)(?=\s|$)/g, (match, text, url) => {
-    // Remove any remaining formatting from the link text
-    let cleanText = text.replace(/\*\*/g, '').replace(/\*/g, '').replace(/_/g, '');
-    return `[${cleanText}](${url})`;
-  });
-  
-  // Remove quote blocks but keep content
-  formatted = formatted.replace(/\[quote\](.*?)\[\/quote\]/gs, '$1');
-  
-  // Remove table blocks but keep content
-  formatted = formatted.replace(/\[table\](.*?)\[\/table\]/gs, '$1');
-  
-  // Remove table cells but keep content
-  formatted = formatted.replace(/\[\/?(tr|td)\]/g, '');
-  
-  // Remove [code] blocks but keep content
-  formatted = formatted.replace(/\[code\](.*?)\[\/code\]/gs, '$1');
-  
-  // Remove [spoiler] blocks but keep content
-  formatted = formatted.replace(/\[spoiler\](.*?)\[\/spoiler\]/gs, '$1');
-  
-  // Convert relative links (/users/, /posts/) to absolute links
-  const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
-  formatted = formatted.replace(/(\[([^\]]+)\]\s*\()\/(users|posts)([^\)]*)(\))/g, `[$2](${baseUrl}/$3$4)`);
-  
-  // Convert URLs to clickable links
-  formatted = formatted.replace(/(https?:\/\/[^\s]+)/g, '<$1>');
-  
-  // Clean up excessive whitespace
-  formatted = formatted.replace(/\n\s*\n\s*\n/g, '\n\n');
-  formatted = formatted.trim();
-  
-  // Remove any trailing > characters from links
-  formatted = formatted.replace(/(\]\()([^)]+)(\))\>/g, '$1$2$3');
-  formatted = formatted.replace(/(\[([^\]]+)\]\()([^)]+)(\))\>/g, '$1$3$4');
-  
-  return formatted;
-};
+module.exports.formatDText = (dtext, options = {}) => module.exports.renderDText(dtext, options).text;
 
 /**
  * Remove DText tags and keep only plain text
  * @param {string} dtext - The DText to clean
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxLength - Maximum length of the output, see DTEXT_BUDGETS (default: no limit)
  * @returns {string} Plain text
  */
-module.exports.cleanDText = (dtext) => {
+module.exports.cleanDText = (dtext, options = {}) => {
+  const {
+    maxLength = Infinity
+  } = options;
+
   if (!dtext) return '';
-  
-  let cleaned = dtext;
-  
-  // Remove all DText tags
-  cleaned = cleaned.replace(/\[\/?[a-z]+\]/g, '');
-  
-  // Clean up excessive whitespace
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
-  
-  return cleaned;
-};
\ No newline at end of file
+
+  const cleaned = renderPlain(dtextParser.parse(dtext))
+    // Clean up excessive whitespace
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (cleaned.length <= maxLength) return cleaned;
+  return `${truncateText(cleaned, maxLength - 1).trimEnd()}…`;
+};
+
+// Discord markdown that is replaced with a placeholder while the rest is converted,
+// so that code and escaped characters are left as written
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+// DText tags for Discord emphasis markers, by marker character and run length
+const EMPHASIS_TAGS = {
+  '*': { 1: 'i', 2: 'b' },
+  '_': { 1: 'i', 2: 'u' },
+  '~': { 2: 's' },
+  '|': { 2: 'spoiler' }
+};
+
+/**
+ * Convert Discord emphasis markers to DText tags. Markers are paired the
+ * way Discord pairs them, each closing run matching the nearest opening
+ * run of the same character, so nested emphasis such as "**a *b***"
+ * comes out properly nested.
+ * @param {string} text - Text with code, links and escapes already protected
+ * @returns {string} Text with DText emphasis tags
+ */
+const emphasisToDText = (text) => {
+  const pieces = [];
+  for (const match of text.matchAll(/(\*+|_+|~~+|\|\|+)|[^*_~|]+|[~|]/g)) {
+    if (!match[1]) {
+      pieces.push(match[0]);
+      continue;
+    }
+
+    const char = match[1][0];
+    const before = text[match.index - 1];
+    const after = text[match.index + match[1].length];
+    let canOpen = after !== undefined && !/\s/.test(after);
+    let canClose = before !== undefined && !/\s/.test(before);
+    if (char === '|') {
+      // Spoilers may have spaces inside their markers
+      canOpen = after !== undefined;
+      canClose = before !== undefined;
+    } else if (char === '_') {
+      // Underscores inside a word, as in snake_case, are literal
+      canOpen = canOpen && !/[a-z0-9]/i.test(before || '');
+      canClose = canClose && !/[a-z0-9]/i.test(after || '');
+    }
+    pieces.push({ char, count: match[1].length, canOpen, canClose, opens: [], closes: [] });
+  }
+
+  const openers = [];
+  for (const piece of pieces) {
+    if (typeof piece === 'string') continue;
+
+    while (piece.canClose && piece.count > 0) {
+      let index = openers.length - 1;
+      while (index >= 0 && openers[index].char !== piece.char) index--;
+      if (index < 0) break;
+
+      const opener = openers[index];
+      const size = opener.count >= 2 && piece.count >= 2 ? 2 : 1;
+      const tag = EMPHASIS_TAGS[piece.char][size];
+      if (!tag) break;
+
+      opener.count -= size;
+      piece.count -= size;
+      opener.opens.push(tag);
+      piece.closes.push(tag);
+      // Openers between the pair can no longer be closed
+      openers.splice(opener.count > 0 ? index + 1 : index);
+    }
+
+    if (piece.canOpen && piece.count > 0) {
+      openers.push(piece);
+    }
+  }
+
+  return pieces.map(piece => {
+    if (typeof piece === 'string') return piece;
+    // The first pair matched is the innermost, so opening tags are written in reverse
+    const closing = piece.closes.map(tag => `[/${tag}]`).join('');
+    const opening = [...piece.opens].reverse().map(tag => `[${tag}]`).join('');
+    return `${closing}${piece.char.repeat(piece.count)}${opening}`;
+  }).join('');
+};
+
+/**
+ * Convert inline Discord markdown in one line or block of text to DText
+ * @param {string} markdown - Discord markdown without block syntax
+ * @param {Array<string>} protectedText - Placeholder contents, added to as code and escapes are found
+ * @returns {string} DText
+ */
+const inlineToDText = (markdown, protectedText) => {
+  const protect = (dtext) => `\u0000${protectedText.push(dtext) - 1}\u0000`;
+
+  return emphasisToDText(markdown
+    .replace(/(`+)([^`\n]+?)\1/g, (match, fence, code) => protect(`\`${code}\``))
+    .replace(/\\([\\*_~|`[\]()<>#-])/g, (match, char) => protect(char))
+    .replace(/\[([^\]\n]+)\]\(<?(https?:\/\/[^\s)>]+)>?\)/g, (match, label, url) => protect(`"${label.replace(/"/g, "'")}":[${url}]`))
+    .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => protect(url)));
+};
+
+/**
+ * Convert block-level Discord markdown (quotes, headings and lists) to DText
+ * @param {Array<string>} lines - Lines of Discord markdown
+ * @param {Array<string>} protectedText - Placeholder contents shared with inlineToDText
+ * @returns {Array<string>} Lines of DText
+ */
+const blocksToDText = (lines, protectedText) => {
+  const output = [];
+  // Inline markdown may span lines, so consecutive plain lines are converted together
+  let paragraph = [];
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      output.push(...inlineToDText(paragraph.join('\n'), protectedText).split('\n'));
+      paragraph = [];
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    // ">>> " quotes everything after it
+    if (line.startsWith('>>> ')) {
+      flushParagraph();
+      const quoted = [line.substring(4), ...lines.slice(index + 1)];
+      output.push('[quote]', ...blocksToDText(quoted, protectedText), '[/quote]');
+      break;
+    }
+
+    if (/^> ?/.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (index < lines.length && /^> ?/.test(lines[index])) {
+        quoted.push(lines[index].replace(/^> ?/, ''));
+        index++;
+      }
+      index--;
+      output.push('[quote]', ...blocksToDText(quoted, protectedText), '[/quote]');
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,3}) +(.+)$/);
+    if (heading) {
+      flushParagraph();
+      output.push(`h${heading[1].length}. ${inlineToDText(heading[2], protectedText)}`);
+      continue;
+    }
+
+    // Discord's small "-# " subtext has no DText equivalent, so it becomes plain text
+    const subtext = line.match(/^-# +(.+)$/);
+    if (subtext) {
+      paragraph.push(subtext[1]);
+      continue;
+    }
+
+    const listItem = line.match(/^( *)[-*+] +(.+)$/);
+    if (listItem) {
+      flushParagraph();
+      const depth = Math.floor(listItem[1].length / 2) + 1;
+      output.push(`${'*'.repeat(depth)} ${inlineToDText(listItem[2], protectedText)}`);
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+  flushParagraph();
+
+  return output;
+};
+
+/**
+ * Convert Discord markdown to e6AI DText, the counterpart of formatDText.
+ * Use this for text written on Discord before sending it to the site.
+ * @param {string} markdown - The Discord markdown to convert
+ * @returns {string} DText
+ */
+module.exports.toDText = (markdown) => {
+  if (!markdown) return '';
+
+  const protectedText = [];
+
+  // Code blocks are kept exactly as written
+  const withoutCodeBlocks = markdown
+    .replace(/\r\n?/g, '\n')
+    .trimEnd()
+    .replace(/```(?:[\w+-]*\n)?([\s\S]*?)\n?```/g, (match, code) => `\u0000${protectedText.push(`[code]\n${code}\n[/code]`) - 1}\u0000`);
+
+  const dtext = blocksToDText(withoutCodeBlocks.split('\n'), protectedText).join('\n');
+
+  // Placeholders can be nested when an escape sits inside a link label
+  let restored = dtext;
+  while (restored.includes('\u0000')) {
+    restored = restored.replace(PLACEHOLDER, (match, index) => protectedText[Number(index)]);
+  }
+  return restored.trim();
+};
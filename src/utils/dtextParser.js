@@ -0,0 +1,326 @@
+/**
+ * DText Parser - Tokenizer and AST builder for e6AI's DText markup
+ *
+ * DText mixes BBCode-style tags ([b], [quote], [section=Title]) with
+ * line-based syntax (h1. headings, * lists) and inline shorthands
+ * ("text":url links, [[wiki links]], {{tag searches}}, post #123,
+ * @mentions). This module turns a DText string into a tree of nodes; it
+ * knows nothing about Discord, the formatter module renders the tree.
+ *
+ * @module dtextParser
+ */
+
+// Tags that contain other DText, mapped to their node type
+const CONTAINER_TAGS = {
+  b: 'bold',
+  i: 'italic',
+  u: 'underline',
+  s: 'strike',
+  sup: 'sup',
+  sub: 'sub',
+  color: 'color',
+  spoiler: 'spoiler',
+  spoilers: 'spoiler',
+  quote: 'quote',
+  section: 'section',
+  table: 'table',
+  thead: 'table_group',
+  tbody: 'table_group',
+  tr: 'table_row',
+  td: 'table_cell',
+  th: 'table_header'
+};
+
+// Tags whose content is taken literally, up to the matching closing tag
+const RAW_TAGS = ['code', 'nodtext'];
+
+// Nodes that end at the end of their line
+const LINE_NODES = ['heading', 'list_item'];
+
+// Nodes that only format text, and so can't span past the end of a heading or list item
+const INLINE_NODES = ['bold', 'italic', 'underline', 'strike', 'sup', 'sub', 'color', 'spoiler'];
+
+// Words that turn "word #123" into a reference
+const REFERENCE_KINDS = ['post', 'pool', 'user', 'comment', 'forum', 'topic', 'set', 'wiki'];
+
+const HEADING_PATTERN = /^h([1-6])(?:#[\w-]+)?\.[ \t]*/i;
+const LIST_PATTERN = /^(\*+)[ \t]+/;
+const WIKI_PATTERN = /^\[\[([^\]|\n]+)(?:\|([^\]\n]*))?\]\]/;
+const TAG_PATTERN = /^\[(\/?)([a-z]+)((?:[=,][^\]\n]*)?)\]/i;
+const SEARCH_PATTERN = /^\{\{([^}|\n]+)(?:\|([^}\n]*))?\}\}/;
+const LINK_PATTERN = /^"([^"\n]+)":(?:\[([^\]\n]+)\]|((?:https?:\/\/|\/|#)[^\s<>"]*))/;
+const ANGLE_URL_PATTERN = /^<(https?:\/\/[^>\s]+)>/;
+const URL_PATTERN = /^https?:\/\/[^\s<>"[\]]+/;
+const INLINE_CODE_PATTERN = /^`([^`\n]+)`/;
+const MENTION_PATTERN = /^@([\w\-~.]*[\w\-~])/;
+const REFERENCE_PATTERN = new RegExp(`^(${REFERENCE_KINDS.join('|')}) #(\\d+)`, 'i');
+
+/**
+ * Remove punctuation that ends a sentence rather than a bare URL
+ * @param {string} url - The matched URL
+ * @returns {string} The URL without trailing punctuation
+ */
+const trimUrl = (url) => {
+  let trimmed = url.replace(/[.,!?:;'*]+$/, '');
+  // Keep a closing parenthesis only if the URL opened one, as in wiki URLs
+  while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+    trimmed = trimmed.slice(0, -1).replace(/[.,!?:;'*]+$/, '');
+  }
+  return trimmed;
+};
+
+/**
+ * Check whether a character can't be part of a word, so a shorthand may start after it
+ * @param {string|undefined} char - The previous character
+ * @returns {boolean} True at the start of the input or after a non-word character
+ */
+const isBoundary = (char) => char === undefined || !/[\w@]/.test(char);
+
+/**
+ * Split DText into tokens
+ * @param {string} dtext - The DText to tokenize
+ * @returns {Array<Object>} Tokens with a `type` and type-specific properties
+ */
+const tokenize = (dtext) => {
+  const input = (dtext || '').replace(/\r\n?/g, '\n');
+  const tokens = [];
+  let text = '';
+  let atLineStart = true;
+  let i = 0;
+
+  const flushText = () => {
+    if (text) {
+      tokens.push({ type: 'text', value: text });
+      text = '';
+    }
+  };
+  const push = (token, length) => {
+    flushText();
+    tokens.push(token);
+    i += length;
+    atLineStart = false;
+  };
+
+  while (i < input.length) {
+    const rest = input.slice(i);
+    const char = input[i];
+    const previous = input[i - 1];
+
+    if (char === '\n') {
+      flushText();
+      tokens.push({ type: 'newline' });
+      i++;
+      atLineStart = true;
+      continue;
+    }
+
+    if (atLineStart) {
+      const heading = rest.match(HEADING_PATTERN);
+      if (heading) {
+        push({ type: 'heading', level: Number(heading[1]) }, heading[0].length);
+        continue;
+      }
+      const list = rest.match(LIST_PATTERN);
+      if (list) {
+        push({ type: 'list_item', depth: list[1].length }, list[0].length);
+        continue;
+      }
+    }
+
+    let match;
+    if (char === '[' && (match = rest.match(WIKI_PATTERN))) {
+      push({ type: 'wiki', title: match[1].trim(), label: match[2]?.trim() || null }, match[0].length);
+      continue;
+    }
+
+    if (char === '[' && (match = rest.match(TAG_PATTERN))) {
+      const closing = match[1] === '/';
+      const tag = match[2].toLowerCase();
+
+      if (!closing && RAW_TAGS.includes(tag)) {
+        const closeTag = `[/${tag}]`;
+        const end = rest.toLowerCase().indexOf(closeTag, match[0].length);
+        if (end !== -1) {
+          const value = rest.slice(match[0].length, end);
+          push({ type: 'raw', tag, value, block: value.includes('\n') || atLineStart }, end + closeTag.length);
+          continue;
+        }
+      }
+
+      if (CONTAINER_TAGS[tag]) {
+        const normalisedTag = tag === 'spoilers' ? 'spoiler' : tag;
+        push(closing
+          ? { type: 'close', tag: normalisedTag }
+          : { type: 'open', tag: normalisedTag, params: match[3] }, match[0].length);
+        continue;
+      }
+    }
+
+    if (char === '{' && (match = rest.match(SEARCH_PATTERN))) {
+      push({ type: 'search', tags: match[1].trim(), label: match[2]?.trim() || null }, match[0].length);
+      continue;
+    }
+
+    if (char === '"' && (match = rest.match(LINK_PATTERN))) {
+      if (match[2]) {
+        push({ type: 'link', label: match[1], url: match[2].trim() }, match[0].length);
+      } else {
+        const url = trimUrl(match[3]);
+        push({ type: 'link', label: match[1], url }, match[0].length - (match[3].length - url.length));
+      }
+      continue;
+    }
+
+    if (char === '<' && (match = rest.match(ANGLE_URL_PATTERN))) {
+      push({ type: 'url', url: match[1] }, match[0].length);
+      continue;
+    }
+
+    if ((char === 'h' || char === 'H') && isBoundary(previous) && (match = rest.match(URL_PATTERN))) {
+      const url = trimUrl(match[0]);
+      push({ type: 'url', url }, url.length);
+      continue;
+    }
+
+    if (char === '`' && (match = rest.match(INLINE_CODE_PATTERN))) {
+      push({ type: 'raw', tag: 'code', value: match[1], block: false }, match[0].length);
+      continue;
+    }
+
+    if (char === '@' && isBoundary(previous) && (match = rest.match(MENTION_PATTERN))) {
+      push({ type: 'mention', name: match[1] }, match[0].length);
+      continue;
+    }
+
+    if (isBoundary(previous) && (match = rest.match(REFERENCE_PATTERN))) {
+      push({ type: 'reference', kind: match[1].toLowerCase(), id: Number(match[2]) }, match[0].length);
+      continue;
+    }
+
+    text += char;
+    i++;
+    atLineStart = false;
+  }
+
+  flushText();
+  return tokens;
+};
+
+/**
+ * Create the node for an opening container tag
+ * @param {Object} token - The open token
+ * @returns {Object} The node, with `tag` kept so the closing tag can find it
+ */
+const createTagNode = (token) => {
+  const node = { type: CONTAINER_TAGS[token.tag], tag: token.tag, children: [] };
+
+  if (token.tag === 'section') {
+    // [section], [section=Title], [section,expanded] or [section,expanded=Title]
+    const params = token.params.match(/^(,expanded)?(?:=(.*))?$/i);
+    node.expanded = Boolean(params?.[1]);
+    node.title = params?.[2]?.trim() || null;
+  } else if (token.tag === 'color') {
+    node.color = token.params.replace(/^=/, '').trim() || null;
+  }
+
+  return node;
+};
+
+/**
+ * Build a node tree from tokens. Unclosed tags are closed at the end of
+ * the input, closing tags without a matching opening tag are kept as text.
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @returns {Object} Root node with `children`
+ */
+const buildTree = (tokens) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'text':
+        current().children.push({ type: 'text', value: token.value });
+        break;
+
+      case 'newline': {
+        // A newline ends a heading or list item, unless a block such as a quote was opened inside it
+        let lineIndex = -1;
+        for (let index = stack.length - 1; index > 0; index--) {
+          if (LINE_NODES.includes(stack[index].type)) {
+            lineIndex = index;
+            break;
+          }
+          if (!INLINE_NODES.includes(stack[index].type)) {
+            break;
+          }
+        }
+        if (lineIndex !== -1) {
+          stack.length = lineIndex;
+        }
+        current().children.push({ type: 'newline' });
+        break;
+      }
+
+      case 'open': {
+        const node = createTagNode(token);
+        current().children.push(node);
+        stack.push(node);
+        break;
+      }
+
+      case 'close': {
+        let openIndex = -1;
+        for (let index = stack.length - 1; index > 0; index--) {
+          if (stack[index].tag === token.tag) {
+            openIndex = index;
+            break;
+          }
+        }
+        if (openIndex === -1) {
+          current().children.push({ type: 'text', value: `[/${token.tag}]` });
+        } else {
+          stack.length = openIndex;
+        }
+        break;
+      }
+
+      case 'heading':
+      case 'list_item': {
+        const node = token.type === 'heading'
+          ? { type: 'heading', level: token.level, children: [] }
+          : { type: 'list_item', depth: token.depth, children: [] };
+        current().children.push(node);
+        stack.push(node);
+        break;
+      }
+
+      case 'raw':
+        current().children.push(token.tag === 'code'
+          ? { type: 'code', value: token.value, block: token.block }
+          : { type: 'text', value: token.value });
+        break;
+
+      default: {
+        // Leaf tokens (link, url, wiki, search, reference, mention) become nodes as they are
+        const { type, ...properties } = token;
+        current().children.push({ type, ...properties });
+      }
+    }
+  }
+
+  return root;
+};
+
+/**
+ * Parse DText into a node tree
+ * @param {string} dtext - The DText to parse
+ * @returns {Object} Root node with `children`
+ */
+const parse = (dtext) => buildTree(tokenize(dtext));
+
+module.exports = {
+  REFERENCE_KINDS,
+  tokenize,
+  parse
+};
@@ -1,9 +1,211 @@
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, escapeMarkdown } = require('discord.js');
 const dtextFormatter = require('./dtextFormatter');
 const api = require('./api');
 const config = require('../../config.json');
 const packageJson = require('../../package.json');
 
+/**
+ * Check whether a post's image should be hidden behind a spoiler
+ * @param {Object} post - The post data from e6AI API
+ * @returns {boolean} True if the post has any of the configured tagsToFilter
+ */
+const shouldSpoilerPost = (post) => {
+  // Handle both array format and single string with comma-separated tags
+  const filterTags = Array.isArray(config.tagsToFilter)
+    ? config.tagsToFilter.flatMap(tag => tag.split(',').map(t => t.trim()))
+    : [];
+
+  return filterTags.length > 0 &&
+    Boolean(post?.tags?.general?.some(tag => filterTags.includes(tag)));
+};
+
+module.exports.shouldSpoilerPost = shouldSpoilerPost;
+
+// File extensions Discord embeds can't play, these show a still image instead
+const VIDEO_EXTENSIONS = ['webm', 'mp4'];
+
+/**
+ * Check whether a post is a video
+ * @param {Object} post - The post data from e6AI API
+ * @returns {boolean} True for WebM and MP4 posts
+ */
+const isVideoPost = (post) => VIDEO_EXTENSIONS.includes(post?.file?.ext?.toLowerCase());
+
+module.exports.isVideoPost = isVideoPost;
+
+/**
+ * Get the URL of the image to show for a post in an embed. Videos use
+ * their sample or preview image; GIFs keep the original since Discord
+ * animates them in embeds.
+ * @param {Object} post - The post data from e6AI API
+ * @returns {string|null} Image URL, or null if the post has no usable image
+ */
+const getEmbedImageUrl = (post) => {
+  if (!post?.file?.url) {
+    return null;
+  }
+  if (isVideoPost(post)) {
+    return (post.sample?.has !== false && post.sample?.url) || post.preview?.url || null;
+  }
+  return post.file.url;
+};
+
+module.exports.getEmbedImageUrl = getEmbedImageUrl;
+
+/**
+ * Get a label describing a video post, including its duration if known
+ * @param {Object} post - The post data from e6AI API
+ * @returns {string|null} Label such as "▶ Video (1:05)", or null for non-video posts
+ */
+const getVideoLabel = (post) => {
+  if (!isVideoPost(post)) {
+    return null;
+  }
+  if (!post.duration) {
+    return '▶ Video';
+  }
+  const totalSeconds = Math.round(post.duration);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `▶ Video (${minutes}:${seconds})`;
+};
+
+module.exports.getVideoLabel = getVideoLabel;
+
+/**
+ * Get the video file of a post as a message attachment, if it fits the upload limit
+ * @param {Object} post - The post data from e6AI API
+ * @param {number} uploadLimit - Largest file the bot can upload in bytes
+ * @returns {{attachment: string, name: string}|null} Attachment for message.send, or null
+ */
+module.exports.getVideoAttachment = (post, uploadLimit) => {
+  if (!isVideoPost(post) || post.flags?.deleted || !post.file.size || post.file.size > uploadLimit) {
+    return null;
+  }
+  return {
+    attachment: post.file.url,
+    name: `${post.id}.${post.file.ext}`
+  };
+};
+
+// Tag groups shown in post embeds, in display order, with the characters each may use
+const POST_TAG_SECTIONS = [
+  { key: 'artist', name: 'Artist', limit: 256 },
+  { key: 'character', name: 'Character', limit: 256 },
+  { key: 'species', name: 'Species', limit: 256 },
+  { key: 'general', name: 'General', limit: 512 },
+  { key: 'meta', name: 'Meta', limit: 200 },
+  { key: 'lore', name: 'Lore', limit: 200 }
+];
+
+/**
+ * Format a tag name for display
+ * @param {string} tag - The tag name
+ * @returns {string} Tag with spaces instead of underscores and markdown escaped
+ */
+const formatTagName = (tag) => escapeMarkdown(tag.replace(/_/g, ' '));
+
+/**
+ * Format a group of tags, cutting it off with a count of the hidden tags if it is too long
+ * @param {Array<string>} tags - The tag names
+ * @param {number} limit - Maximum length of the result
+ * @returns {string} Comma separated tags
+ */
+const formatTagGroup = (tags, limit) => {
+  // Room for the longest possible "+N more" suffix
+  const suffixRoom = ` … +${tags.length} more`.length;
+  let result = '';
+
+  for (const [index, tag] of tags.entries()) {
+    const next = `${result ? `${result}, ` : ''}${formatTagName(tag)}`;
+    const isLast = index === tags.length - 1;
+    if (next.length > (isLast ? limit : limit - suffixRoom)) {
+      return `${result} … +${tags.length - index} more`.trim();
+    }
+    result = next;
+  }
+
+  return result;
+};
+
+/**
+ * Split a group of tags into chunks that each fit in one embed field
+ * @param {Array<string>} tags - The tag names
+ * @param {number} limit - Maximum length of each chunk (default: 1024)
+ * @returns {Array<string>} Comma separated chunks
+ */
+const splitTagGroup = (tags, limit = 1024) => {
+  const chunks = [];
+  let current = '';
+
+  for (const tag of tags) {
+    const formatted = formatTagName(tag).substring(0, limit);
+    if (current && current.length + 2 + formatted.length > limit) {
+      chunks.push(current);
+      current = formatted;
+    } else {
+      current = current ? `${current}, ${formatted}` : formatted;
+    }
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+};
+
+/**
+ * Create embeds listing every tag of a post, grouped by category
+ * @param {Object} post - The post data from e6AI API
+ * @returns {Array<EmbedBuilder>} One or more embeds, split to stay within Discord's limits
+ */
+module.exports.createTagListEmbeds = (post) => {
+  const tags = post.tags || {};
+  const knownKeys = POST_TAG_SECTIONS.map(section => section.key);
+  const categoryKeys = [...knownKeys, ...Object.keys(tags).filter(key => !knownKeys.includes(key))];
+
+  const fields = [];
+  for (const key of categoryKeys) {
+    if (!Array.isArray(tags[key]) || tags[key].length === 0) {
+      continue;
+    }
+    const name = key.charAt(0).toUpperCase() + key.slice(1);
+    splitTagGroup(tags[key]).forEach((chunk, index) => {
+      fields.push({ name: index === 0 ? `${name} (${tags[key].length})` : `${name} (cont.)`, value: chunk, inline: false });
+    });
+  }
+
+  const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+  const createEmbed = () => new EmbedBuilder()
+    .setTitle(`Tags for Post #${post.id}`)
+    .setURL(`${baseUrl}/posts/${post.id}`)
+    .setColor('#0099ff');
+
+  if (fields.length === 0) {
+    return [createEmbed().setDescription('This post has no tags.')];
+  }
+
+  // Each embed holds at most 25 fields and 6000 characters
+  const embeds = [];
+  let embed = createEmbed();
+  let fieldCount = 0;
+  let length = 0;
+  for (const field of fields) {
+    if (fieldCount === 25 || length + field.name.length + field.value.length > 5500) {
+      embeds.push(embed);
+      embed = createEmbed();
+      fieldCount = 0;
+      length = 0;
+    }
+    embed.addFields(field);
+    fieldCount++;
+    length += field.name.length + field.value.length;
+  }
+  embeds.push(embed);
+
+  return embeds.slice(0, 10);
+};
+
 /**
  * Create a post embed with customizable options
  * @param {Object} post - The post data from e6AI API
@@ -12,6 +214,8 @@ const packageJson = require('../../package.json');
  * @param {string} options.customColor - Custom embed color
  * @param {boolean} options.hyperlinkUsernames - Create hyperlinks for usernames
  * @param {boolean} options.includeButton - Include the "Visit post" button (default: true)
+ * @param {boolean} options.includeTags - Include the tag section and "Show all tags" button (default: false)
+ * @param {boolean} options.compact - Show the image as a thumbnail instead of full size (default: false)
  * @returns {Promise<{embed: EmbedBuilder, shouldSpoiler: boolean, components: Array|null}>} The configured embed, spoiler flag, and components
  */
 module.exports.createPostEmbed = async (post, options = {}) => {
@@ -19,17 +223,13 @@ module.exports.createPostEmbed = async (post, options = {}) => {
     includeDescription = true,
     customColor,
     hyperlinkUsernames = true,
-    includeButton = true
+    includeButton = true,
+    includeTags = false,
+    compact = false
   } = options;
 
   // Check if any filtered tags are present in the post's general tags
-  // Handle both array format and single string with comma-separated tags
-  const filterTags = Array.isArray(config.tagsToFilter)
-    ? config.tagsToFilter.flatMap(tag => tag.split(',').map(t => t.trim()))
-    : [];
-  
-  const shouldSpoiler = filterTags.length > 0 &&
-    post.tags?.general?.some(tag => filterTags.includes(tag));
+  const shouldSpoiler = shouldSpoilerPost(post);
 
   // Fetch usernames for uploader and approver
   let uploaderUsername = post.uploader_id;
@@ -61,10 +261,18 @@ module.exports.createPostEmbed = async (post, options = {}) => {
     }
   }
 
+  // Spoilered posts link their file below the description, which has to fit alongside it
+  const showImage = Boolean(post.file?.url) && !post.flags?.deleted;
+  const spoilerLink = showImage && shouldSpoiler ? `\n\n|| ${post.file.url} ||` : '';
+
   // Format description if included
   let description = null;
   if (includeDescription && post.description) {
-    description = dtextFormatter.formatDText(post.description);
+    const budget = includeTags ? dtextFormatter.DTEXT_BUDGETS.taggedDescription : dtextFormatter.DTEXT_BUDGETS.description;
+    description = dtextFormatter.formatDText(post.description, {
+      maxLength: budget - spoilerLink.length,
+      readMoreUrl: `${config.devmode ? 'http://localhost:3001' : 'https://e6ai.net'}/posts/${post.id}`
+    });
     if (!description || description.trim().length === 0) {
       description = 'No description';
     }
@@ -111,18 +319,46 @@ module.exports.createPostEmbed = async (post, options = {}) => {
       }
     );
 
+  // Embeds can't play videos, so say what the still image is
+  const videoLabel = getVideoLabel(post);
+  if (videoLabel) {
+    embed.addFields({
+      name: 'Type:',
+      value: `${videoLabel} - ${post.file.ext.toUpperCase()}`,
+      inline: true
+    });
+  }
+
+  // Add the tag section, hidden behind spoilers if the image is
+  const hasTags = Object.values(post.tags || {}).some(tags => Array.isArray(tags) && tags.length > 0);
+  if (includeTags && hasTags) {
+    for (const section of POST_TAG_SECTIONS) {
+      const tags = post.tags[section.key];
+      if (!Array.isArray(tags) || tags.length === 0) {
+        continue;
+      }
+      const value = formatTagGroup(tags, shouldSpoiler ? section.limit - 4 : section.limit);
+      embed.addFields({
+        name: `${section.name}:`,
+        value: shouldSpoiler ? `||${value}||` : value,
+        inline: section.key !== 'general'
+      });
+    }
+  }
+
   // Set the image if available and post is not deleted
-  if (post.file?.url && !post.flags?.deleted) {
+  if (showImage) {
     if (shouldSpoiler) {
       // Use || link || syntax to create a spoiler link instead of showing the image directly
-      let finalDescription = description || 'No description';
-      if (shouldSpoiler) {
-        finalDescription += `\n\n|| ${post.file.url} ||`;
-      }
-      embed.setDescription(finalDescription);
+      embed.setDescription(`${description || 'No description'}${spoilerLink}`);
       // Don't set image URL for spoiler posts - it will be handled in the LinkListener
     } else {
-      embed.setImage(post.file.url);
+      const imageUrl = getEmbedImageUrl(post);
+      if (imageUrl && compact) {
+        embed.setThumbnail(imageUrl);
+      } else if (imageUrl) {
+        embed.setImage(imageUrl);
+      }
     }
   }
 
@@ -137,6 +373,130 @@ module.exports.createPostEmbed = async (post, options = {}) => {
           .setStyle(ButtonStyle.Link)
           .setEmoji('🔗')
       );
+    if (includeTags && hasTags) {
+      visitButton.addComponents(
+        new ButtonBuilder()
+          .setCustomId(`show_all_tags:${post.id}`)
+          .setLabel('Show all tags')
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji('🏷️')
+      );
+    }
+    components = [visitButton];
+  }
+
+  return {
+    embed,
+    shouldSpoiler,
+    components
+  };
+};
+
+/**
+ * Check whether explicit posts may be shown in a channel
+ * @param {Object} channel - The Discord channel (threads inherit from their parent)
+ * @returns {boolean} True if the channel is marked NSFW
+ */
+module.exports.isNsfwChannel = (channel) => {
+  if (!channel) {
+    return false;
+  }
+  return Boolean(channel.nsfw || channel.parent?.nsfw);
+};
+
+/**
+ * Restrict a tag query to what may be shown in a channel. Outside NSFW
+ * channels explicit posts are excluded, and queries that ask for them are refused.
+ * @param {string} tags - The user's tag query
+ * @param {Object} channel - The Discord channel the results will be posted in
+ * @returns {{tags: string, refused: boolean}} The query to send, or refused if it asks for explicit posts
+ */
+module.exports.restrictTagsForChannel = (tags, channel) => {
+  if (module.exports.isNsfwChannel(channel)) {
+    return { tags, refused: false };
+  }
+
+  const wantsExplicit = tags.split(/\s+/).some(tag => /^~?rating:e(xplicit)?$/i.test(tag));
+  if (wantsExplicit) {
+    return { tags, refused: true };
+  }
+
+  return { tags: `${tags} -rating:e`.trim(), refused: false };
+};
+
+/**
+ * Check whether a post may be shown in a channel
+ * @param {Object} post - The post data from e6AI API
+ * @param {Object} channel - The Discord channel
+ * @returns {boolean} True if the post is not explicit or the channel is NSFW
+ */
+module.exports.isPostAllowedInChannel = (post, channel) => {
+  return post.rating?.toLowerCase() !== 'e' || module.exports.isNsfwChannel(channel);
+};
+
+/**
+ * Create a pool embed
+ * @param {Object} pool - The pool data from e6AI API
+ * @param {Object|null} coverPost - The first post of the pool, used as the cover image
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.includeButton - Include the "Visit pool" button (default: true)
+ * @returns {{embed: EmbedBuilder, shouldSpoiler: boolean, components: Array|null}} The configured embed, spoiler flag for the cover, and components
+ */
+module.exports.createPoolEmbed = (pool, coverPost, options = {}) => {
+  const {
+    includeButton = true
+  } = options;
+
+  const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+  const postCount = pool.post_count ?? pool.post_ids?.length ?? 0;
+
+  let description = dtextFormatter.formatDText(pool.description, {
+    maxLength: dtextFormatter.DTEXT_BUDGETS.description,
+    readMoreUrl: `${baseUrl}/pools/${pool.id}`
+  });
+  if (!description || description.trim().length === 0) {
+    description = 'No description';
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Pool #${pool.id}: ${pool.name.replace(/_/g, ' ')}`.substring(0, 256))
+    .setURL(`${baseUrl}/pools/${pool.id}`)
+    .setDescription(description)
+    .setColor(pool.is_active === false ? '#808080' : '#0099ff')
+    .addFields(
+      {
+        name: 'Posts:',
+        value: postCount.toString(),
+        inline: true
+      },
+      {
+        name: 'Category:',
+        value: pool.category ? pool.category.charAt(0).toUpperCase() + pool.category.slice(1) : 'Unknown',
+        inline: true
+      },
+      {
+        name: 'Creator:',
+        value: pool.creator_id ? `[${pool.creator_name || pool.creator_id}](${baseUrl}/users/${pool.creator_id})` : 'Unknown',
+        inline: true
+      }
+    );
+
+  // Use the first post as the cover, unless it should be spoilered
+  const shouldSpoiler = Boolean(coverPost) && shouldSpoilerPost(coverPost);
+  if (coverPost?.file?.url && !coverPost.flags?.deleted && !shouldSpoiler) {
+    embed.setImage(getEmbedImageUrl(coverPost));
+  }
+
+  let components = null;
+  if (includeButton) {
+    const visitButton = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setLabel('Visit pool')
+          .setURL(`${baseUrl}/pools/${pool.id}`)
+          .setStyle(ButtonStyle.Link)
+          .setEmoji('🔗')
+      );
     components = [visitButton];
   }
 
@@ -145,4 +505,270 @@ module.exports.createPostEmbed = async (post, options = {}) => {
     shouldSpoiler,
     components
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Create a user profile embed
+ * @param {Object} user - The user data from e6AI API
+ * @param {Object|null} avatarPost - The post the user has set as avatar
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.includeButtons - Include the profile and uploads buttons (default: true)
+ * @returns {{embed: EmbedBuilder, components: Array|null}} The configured embed and components
+ */
+module.exports.createUserEmbed = (user, avatarPost, options = {}) => {
+  const {
+    includeButtons = true
+  } = options;
+
+  const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+  const joinedAt = user.created_at ? Math.floor(new Date(user.created_at).getTime() / 1000) : null;
+
+  const embed = new EmbedBuilder()
+    .setTitle(user.name.replace(/_/g, ' '))
+    .setURL(`${baseUrl}/users/${user.id}`)
+    .setColor(user.is_banned ? '#ff0000' : '#0099ff')
+    .addFields(
+      {
+        name: 'Level:',
+        value: `${user.level_string || 'Unknown'}${user.is_banned ? ' (Banned)' : ''}`,
+        inline: true
+      },
+      {
+        name: 'Joined:',
+        value: joinedAt ? `<t:${joinedAt}:D>` : 'Unknown',
+        inline: true
+      },
+      {
+        name: 'User ID:',
+        value: user.id.toString(),
+        inline: true
+      },
+      {
+        name: 'Uploads:',
+        value: (user.post_upload_count ?? 0).toString(),
+        inline: true
+      },
+      {
+        name: 'Favorites:',
+        value: (user.favorite_count ?? 0).toString(),
+        inline: true
+      },
+      {
+        name: 'Note Edits:',
+        value: (user.note_update_count ?? 0).toString(),
+        inline: true
+      }
+    );
+
+  // Avatars that would need a spoiler are left out rather than shown
+  if (avatarPost?.file?.url && !avatarPost.flags?.deleted && !shouldSpoilerPost(avatarPost)) {
+    embed.setThumbnail(avatarPost.preview?.url || getEmbedImageUrl(avatarPost));
+  }
+
+  let components = null;
+  if (includeButtons) {
+    const buttons = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setLabel('Visit profile')
+          .setURL(`${baseUrl}/users/${user.id}`)
+          .setStyle(ButtonStyle.Link)
+          .setEmoji('🔗'),
+        new ButtonBuilder()
+          .setLabel('Uploads')
+          .setURL(`${baseUrl}/posts?tags=${encodeURIComponent(`user:${user.name}`)}`)
+          .setStyle(ButtonStyle.Link)
+          .setEmoji('🖼️')
+      );
+    components = [buttons];
+  }
+
+  return {
+    embed,
+    components
+  };
+};
+
+/**
+ * Create a wiki page embed
+ * @param {Object} page - The wiki page data from e6AI API
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxLength - Maximum length of the page body before it is cut off (default: 1500)
+ * @param {boolean} options.includeButton - Include the "Read on e6AI" button (default: true)
+ * @returns {{embed: EmbedBuilder, truncated: boolean, components: Array|null}} The configured embed, whether the body was cut off, and components
+ */
+module.exports.createWikiEmbed = (page, options = {}) => {
+  const {
+    maxLength = 1500,
+    includeButton = true
+  } = options;
+
+  const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+  const pageUrl = `${baseUrl}/wiki_pages/${encodeURIComponent(page.title)}`;
+
+  let { text: description, truncated } = dtextFormatter.renderDText(page.body, {
+    maxLength,
+    readMoreUrl: pageUrl
+  });
+  if (!description || description.trim().length === 0) {
+    description = 'This wiki page is empty.';
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(page.title.replace(/_/g, ' ').substring(0, 256))
+    .setURL(pageUrl)
+    .setDescription(description)
+    .setColor('#0099ff');
+
+  if (page.other_names?.length > 0) {
+    embed.addFields({
+      name: 'Other names:',
+      value: page.other_names.map(name => name.replace(/_/g, ' ')).join(', ').substring(0, 1024),
+      inline: false
+    });
+  }
+
+  if (page.updated_at) {
+    embed.setFooter({ text: 'Last updated' }).setTimestamp(new Date(page.updated_at));
+  }
+
+  let components = null;
+  if (includeButton) {
+    const visitButton = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setLabel('Read on e6AI')
+          .setURL(pageUrl)
+          .setStyle(ButtonStyle.Link)
+          .setEmoji('📖')
+      );
+    components = [visitButton];
+  }
+
+  return {
+    embed,
+    truncated,
+    components
+  };
+};
+
+// Tag category IDs used by e6AI, with display names and embed colors
+const TAG_CATEGORIES = {
+  0: { name: 'General', color: '#b4c7d9' },
+  1: { name: 'Artist', color: '#f2ac08' },
+  2: { name: 'Contributor', color: '#c0c0c0' },
+  3: { name: 'Copyright', color: '#dd00dd' },
+  4: { name: 'Character', color: '#00aa00' },
+  5: { name: 'Species', color: '#ed5d1f' },
+  6: { name: 'Invalid', color: '#ff3d3d' },
+  7: { name: 'Meta', color: '#ffffff' },
+  8: { name: 'Lore', color: '#228822' }
+};
+
+module.exports.TAG_CATEGORIES = TAG_CATEGORIES;
+
+/**
+ * Create a tag information embed
+ * @param {Object} tag - The tag data from e6AI API
+ * @param {Object} relations - Aliases and implications of the tag
+ * @param {Object|null} relations.aliasedTo - Active alias where this tag is the antecedent
+ * @param {Array<Object>} relations.aliasedFrom - Active aliases pointing to this tag
+ * @param {Array<Object>} relations.implications - Active implications of this tag
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.includeButtons - Include the search and wiki buttons (default: true)
+ * @returns {{embed: EmbedBuilder, components: Array|null}} The configured embed and components
+ */
+module.exports.createTagEmbed = (tag, relations = {}, options = {}) => {
+  const {
+    aliasedTo = null,
+    aliasedFrom = [],
+    implications = []
+  } = relations;
+  const {
+    includeButtons = true
+  } = options;
+
+  const baseUrl = config.devmode ? 'http://localhost:3001' : 'https://e6ai.net';
+  const category = TAG_CATEGORIES[tag.category] || { name: 'Unknown', color: '#0099ff' };
+  const formatTag = (name) => `[${name.replace(/_/g, ' ')}](${baseUrl}/wiki_pages/${encodeURIComponent(name)})`;
+  const formatList = (names) => {
+    const list = names.map(formatTag).join(', ');
+    if (list.length <= 1024) {
+      return list;
+    }
+    // Cut between two tags so no link is left half open
+    const lastSeparator = list.lastIndexOf(', ', 1010);
+    return lastSeparator > 0 ? `${list.substring(0, lastSeparator)}, …` : `${names.length} tags`;
+  };
+
+  const embed = new EmbedBuilder()
+    .setTitle(tag.name.replace(/_/g, ' ').substring(0, 256))
+    .setURL(`${baseUrl}/wiki_pages/${encodeURIComponent(tag.name)}`)
+    .setColor(category.color)
+    .addFields(
+      {
+        name: 'Category:',
+        value: category.name,
+        inline: true
+      },
+      {
+        name: 'Posts:',
+        value: (tag.post_count ?? 0).toLocaleString('en-US'),
+        inline: true
+      },
+      {
+        name: 'Locked:',
+        value: tag.is_locked ? '🔒 Yes' : 'No',
+        inline: true
+      }
+    );
+
+  if (aliasedTo) {
+    embed.addFields({
+      name: 'Aliased to:',
+      value: formatTag(aliasedTo.consequent_name),
+      inline: false
+    });
+    embed.setDescription(`⚠️ This tag is an alias, posts are tagged with **${aliasedTo.consequent_name.replace(/_/g, ' ')}** instead.`);
+  }
+
+  if (aliasedFrom.length > 0) {
+    embed.addFields({
+      name: 'Aliases:',
+      value: formatList(aliasedFrom.map(alias => alias.antecedent_name)),
+      inline: false
+    });
+  }
+
+  if (implications.length > 0) {
+    embed.addFields({
+      name: 'Implies:',
+      value: formatList(implications.map(implication => implication.consequent_name)),
+      inline: false
+    });
+  }
+
+  let components = null;
+  if (includeButtons) {
+    const searchName = aliasedTo ? aliasedTo.consequent_name : tag.name;
+    const buttons = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setLabel('Search posts')
+          .setURL(`${baseUrl}/posts?tags=${encodeURIComponent(searchName)}`)
+          .setStyle(ButtonStyle.Link)
+          .setEmoji('🔍'),
+        new ButtonBuilder()
+          .setLabel('Wiki')
+          .setURL(`${baseUrl}/wiki_pages/${encodeURIComponent(tag.name)}`)
+          .setStyle(ButtonStyle.Link)
+          .setEmoji('📖')
+      );
+    components = [buttons];
+  }
+
+  return {
+    embed,
+    components
+  };
+};
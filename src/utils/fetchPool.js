@@ -0,0 +1,60 @@
+/**
+ * Pool Fetching Module - Business logic and Discord integration for pools
+ *
+ * This module fetches e6AI pools through the central API module and builds
+ * their embeds, using the pool's first post as the cover image.
+ *
+ * @module fetchPool
+ */
+
+const api = require('./api');
+const embedBuilder = require('./embedBuilder');
+
+/**
+ * Get pool data with embed
+ * @param {string|number} poolId - The pool ID to fetch
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.showExplicit - Allow an explicit cover image (default: true)
+ * @param {Object} options.embedOptions - Additional embed options
+ * @returns {Promise<{pool: Object, coverPost: Object|null, embed: EmbedBuilder, shouldSpoiler: boolean, components: Array|null}>} Pool data, cover post, embed, spoiler flag, and components
+ */
+async function getPool(poolId, options = {}) {
+  const {
+    showExplicit = true,
+    embedOptions = {}
+  } = options;
+
+  const pool = await api.fetchPoolData(poolId);
+  if (!pool || !pool.id) {
+    throw new Error(`Pool ${poolId} not found`);
+  }
+
+  // The cover is optional, a missing first post shouldn't hide the pool
+  let coverPost = null;
+  if (pool.post_ids?.length > 0) {
+    try {
+      const responseData = await api.fetchPostData(pool.post_ids[0]);
+      coverPost = api.extractPostFromResponse(pool.post_ids[0], responseData);
+    } catch (error) {
+      console.error(`Error fetching cover post for pool ${poolId}:`, error.message);
+    }
+  }
+
+  if (coverPost && !showExplicit && coverPost.rating?.toLowerCase() === 'e') {
+    coverPost = null;
+  }
+
+  const { embed, shouldSpoiler, components } = embedBuilder.createPoolEmbed(pool, coverPost, embedOptions);
+
+  return {
+    pool,
+    coverPost,
+    embed,
+    shouldSpoiler,
+    components
+  };
+}
+
+module.exports = {
+  getPool
+};
@@ -58,7 +58,58 @@ async function getPost(postId, options = {}) {
   };
 }
 
+/**
+ * Get a random post matching a tag query, with embed
+ * @param {string} tags - The tag query, any order: tag is replaced by order:random
+ * @param {Object} options - Configuration options
+ * @param {Object} options.embedOptions - Additional embed options
+ * @returns {Promise<{post: Object, embed: EmbedBuilder, shouldSpoiler: boolean, components: Array|null}|null>} Post data and embed, or null if nothing matched
+ */
+async function getRandomPost(tags, options = {}) {
+  const {
+    embedOptions = {}
+  } = options;
+
+  const query = tags.split(/\s+/).filter(tag => tag && !/^order:/i.test(tag));
+  query.push('order:random');
+
+  const [post] = await api.searchPosts(query.join(' '), { limit: 1 });
+  if (!post) {
+    return null;
+  }
+
+  const { embed, shouldSpoiler, components } = await embedBuilder.createPostEmbed(post, embedOptions);
+
+  return {
+    post,
+    embed,
+    shouldSpoiler,
+    components
+  };
+}
+
+/**
+ * Get the full tag list of a post as embeds
+ * @param {string|number} postId - The post ID to fetch
+ * @returns {Promise<{post: Object, embeds: Array<EmbedBuilder>}>} Post data and tag list embeds
+ */
+async function getPostTags(postId) {
+  const responseData = await api.fetchPostData(postId);
+  const post = api.extractPostFromResponse(postId, responseData);
+
+  if (!post) {
+    throw new Error(`Post ${postId} not found`);
+  }
+
+  return {
+    post,
+    embeds: embedBuilder.createTagListEmbeds(post)
+  };
+}
+
 module.exports = {
   getPost,
-  getFile
+  getFile,
+  getRandomPost,
+  getPostTags
 };
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * User Fetching Module - Business logic and Discord integration for users
+ *
+ * This module fetches e6AI user profiles through the central API module and
+ * builds their embeds, using the user's avatar post as the thumbnail.
+ *
+ * @module fetchUser
+ */
+
+const api = require('./api');
+const embedBuilder = require('./embedBuilder');
+
+/**
+ * Get user data with embed
+ * @param {string|number} userIdOrName - The user ID or name to fetch
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.showExplicit - Allow an explicit avatar (default: true)
+ * @param {Object} options.embedOptions - Additional embed options
+ * @returns {Promise<{user: Object, avatarPost: Object|null, embed: EmbedBuilder, components: Array|null}>} User data, avatar post, embed, and components
+ */
+async function getUser(userIdOrName, options = {}) {
+  const {
+    showExplicit = true,
+    embedOptions = {}
+  } = options;
+
+  // Names are stored with underscores instead of spaces
+  const lookup = String(userIdOrName).trim().replace(/ /g, '_');
+  const user = await api.fetchUserData(lookup);
+  if (!user || !user.id) {
+    throw new Error(`User ${userIdOrName} not found`);
+  }
+
+  // The avatar is optional, a missing post shouldn't hide the profile
+  let avatarPost = null;
+  if (user.avatar_id) {
+    try {
+      const responseData = await api.fetchPostData(user.avatar_id);
+      avatarPost = api.extractPostFromResponse(user.avatar_id, responseData);
+    } catch (error) {
+      console.error(`Error fetching avatar post for user ${user.id}:`, error.message);
+    }
+  }
+
+  if (avatarPost && !showExplicit && avatarPost.rating?.toLowerCase() === 'e') {
+    avatarPost = null;
+  }
+
+  const { embed, components } = embedBuilder.createUserEmbed(user, avatarPost, embedOptions);
+
+  return {
+    user,
+    avatarPost,
+    embed,
+    components
+  };
+}
+
+module.exports = {
+  getUser
+};
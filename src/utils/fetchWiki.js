@@ -0,0 +1,42 @@
+/**
+ * Wiki Fetching Module - Business logic and Discord integration for wiki pages
+ *
+ * This module fetches e6AI wiki pages through the central API module and
+ * builds their embeds.
+ *
+ * @module fetchWiki
+ */
+
+const api = require('./api');
+const embedBuilder = require('./embedBuilder');
+
+/**
+ * Get a wiki page with embed
+ * @param {string|number} titleOrId - The wiki page title or ID
+ * @param {Object} options - Configuration options
+ * @param {Object} options.embedOptions - Additional embed options
+ * @returns {Promise<{page: Object, embed: EmbedBuilder, truncated: boolean, components: Array|null}>} Wiki page data, embed, truncation flag, and components
+ */
+async function getWikiPage(titleOrId, options = {}) {
+  const {
+    embedOptions = {}
+  } = options;
+
+  const page = await api.fetchWikiPage(titleOrId);
+  if (!page || !page.title) {
+    throw new Error(`Wiki page ${titleOrId} not found`);
+  }
+
+  const { embed, truncated, components } = embedBuilder.createWikiEmbed(page, embedOptions);
+
+  return {
+    page,
+    embed,
+    truncated,
+    components
+  };
+}
+
+module.exports = {
+  getWikiPage
+};
@@ -0,0 +1,196 @@
+/**
+ * File Type Detection - Identify replacement files by their magic bytes
+ *
+ * Discord reports a content type based on the file extension only, so a
+ * JPEG saved as .png or a WebM saved as .mp4 would otherwise be uploaded
+ * to e6AI with the wrong MIME type. This module reads the first bytes of a
+ * file and compares them with the signatures e6AI accepts.
+ *
+ * @module fileType
+ */
+
+// Number of bytes searched for the WebM DocType
+const HEADER_LENGTH = 64;
+
+const EXTENSION_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    mp4: 'video/mp4',
+    webm: 'video/webm'
+};
+
+// Major brands of ISO base media files that are MP4 video; others share the
+// "ftyp" box but are different formats, such as HEIC, AVIF and QuickTime
+const MP4_BRANDS = ['isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'mmp4', 'M4V ', 'MSNV'];
+
+const TYPE_NAMES = {
+    'image/png': 'PNG',
+    'image/jpeg': 'JPEG',
+    'image/gif': 'GIF',
+    'image/webp': 'WebP',
+    'video/mp4': 'MP4',
+    'video/webm': 'WebM'
+};
+
+/**
+ * Detect the content type of a file from its first bytes
+ * @param {Buffer} buffer - The start of the file (at least 12 bytes)
+ * @returns {string|null} The detected MIME type, or null if unsupported
+ */
+function detectContentType(buffer) {
+    if (!buffer || buffer.length < 12) {
+        return null;
+    }
+
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'image/png';
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'image/jpeg';
+    }
+    const gifHeader = buffer.toString('ascii', 0, 6);
+    if (gifHeader === 'GIF87a' || gifHeader === 'GIF89a') {
+        return 'image/gif';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    if (buffer.toString('ascii', 4, 8) === 'ftyp' && MP4_BRANDS.includes(buffer.toString('ascii', 8, 12))) {
+        return 'video/mp4';
+    }
+    // WebM is a Matroska (EBML) container whose DocType is "webm"
+    if (buffer[0] === 0x1A && buffer[1] === 0x45 && buffer[2] === 0xDF && buffer[3] === 0xA3 &&
+        buffer.subarray(0, HEADER_LENGTH).includes('webm')) {
+        return 'video/webm';
+    }
+
+    return null;
+}
+
+/**
+ * Find the dimensions of a JPEG by scanning for its start-of-frame segment
+ * @param {Buffer} buffer - The JPEG file
+ * @returns {{width: number, height: number}|null} The dimensions, or null if no frame header was found
+ */
+function readJpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            return null;
+        }
+        const marker = buffer[offset + 1];
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC) which share the range
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * Read the pixel dimensions of an image from its header
+ * @param {Buffer} buffer - The image file
+ * @param {string} contentType - The detected MIME type
+ * @returns {{width: number, height: number}|null} The dimensions, or null for videos and unreadable headers
+ */
+function readImageDimensions(buffer, contentType) {
+    if (!buffer || buffer.length < 30) {
+        return null;
+    }
+
+    switch (contentType) {
+        case 'image/png':
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        case 'image/gif':
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        case 'image/jpeg':
+            return readJpegDimensions(buffer);
+        case 'image/webp': {
+            const chunk = buffer.toString('ascii', 12, 16);
+            if (chunk === 'VP8 ') {
+                return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+            }
+            if (chunk === 'VP8L') {
+                const bits = buffer.readUInt32LE(21);
+                return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+            }
+            if (chunk === 'VP8X') {
+                return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the content type implied by a file name or URL extension
+ * @param {string} name - File name or URL
+ * @returns {string|null} The MIME type for the extension, or null if unknown
+ */
+function getExtensionContentType(name) {
+    if (!name) {
+        return null;
+    }
+
+    let pathname = name;
+    try {
+        pathname = new URL(name).pathname;
+    } catch (error) {
+        // Not a URL, treat as a plain file name
+    }
+
+    const match = pathname.toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? EXTENSION_TYPES[match[1]] || null : null;
+}
+
+/**
+ * Get a short display name for a content type
+ * @param {string} contentType - The MIME type
+ * @returns {string} Display name such as "PNG"
+ */
+function formatContentType(contentType) {
+    return TYPE_NAMES[contentType] || contentType || 'unknown';
+}
+
+/**
+ * Check that a file's real content type is supported and matches its extension
+ * @param {Buffer} buffer - The start of the file
+ * @param {string} name - File name or URL, used for the expected type
+ * @returns {{valid: boolean, contentType: string|null, message?: string}} Validation result
+ */
+function validateFileContent(buffer, name) {
+    const contentType = detectContentType(buffer);
+
+    if (!contentType) {
+        return {
+            valid: false,
+            contentType: null,
+            message: `The file is not a supported image or video. Supported formats: ${Object.values(TYPE_NAMES).join(', ')}.`
+        };
+    }
+
+    const expectedType = getExtensionContentType(name);
+    if (expectedType && expectedType !== contentType) {
+        return {
+            valid: false,
+            contentType,
+            message: `The file is named as ${formatContentType(expectedType)} but is actually ${formatContentType(contentType)}. Please rename or re-export it with the correct extension.`
+        };
+    }
+
+    return { valid: true, contentType };
+}
+
+module.exports = {
+    detectContentType,
+    getExtensionContentType,
+    formatContentType,
+    readImageDimensions,
+    validateFileContent
+};
\ No newline at end of file
@@ -3,23 +3,380 @@ const config = require('../../config.json');
 const replacePost = require('./replacePost');
 const fetchPost = require('./fetchPost');
 const api = require('./api');
+const database = require('./database');
+const { STATUSES, isActive, formatStatus } = require('./requestLifecycle');
 
-// In-memory storage for active requests to prevent duplicates and handle concurrency
-const activeRequests = new Map(); // Key: `${postId}:${userId}`, Value: { messageId, timestamp, status }
-const requestLocks = new Set(); // Keys for posts that are currently being processed
+// Used when a request was accepted before moderators could supply their own reason
+const DEFAULT_SUBMISSION_REASON = 'Discord Bot replacement';
+
+// Short-lived locks for posts that are currently being processed (Key: postId, Value: lock timestamp)
+// Pending requests themselves are persisted in the replacement_requests table
+const requestLocks = new Map();
+
+/**
+ * Looks up the stored replacement request referenced by a button or modal
+ * @param {string} postId - The post ID from the custom ID
+ * @param {string} userId - The requester's user ID from the custom ID
+ * @param {string} [requestId] - The request row ID (missing on buttons posted before requests were persisted)
+ * @returns {Object|null} - The replacement request row, or null if none was found
+ */
+function findReplacementRequest(postId, userId, requestId) {
+    const result = requestId
+        ? database.getReplacementRequest(Number(requestId))
+        : database.findPendingReplacementRequest(postId, userId);
+
+    return result.success ? result.request : null;
+}
+
+/**
+ * Fetches the channel a replacement request was posted in
+ * @param {Object} client - The Discord client
+ * @param {Object} request - The replacement request row
+ * @returns {Promise<Object|null>} - The channel, or null if it is not configured
+ */
+async function fetchRequestChannel(client, request) {
+    const channelId = request.channel_id || config.channels?.replacementRequestChannel;
+    if (!channelId) {
+        return null;
+    }
+    return client.channels.fetch(channelId);
+}
+
+/**
+ * Fetches one of the messages the bot posted for a request
+ * @param {Object} channel - The replacement request channel
+ * @param {string|null} messageId - The stored message ID
+ * @returns {Promise<Object|null>} - The message, or null if it no longer exists
+ */
+async function fetchRequestMessage(channel, messageId) {
+    if (!messageId) {
+        return null;
+    }
+
+    try {
+        return await channel.messages.fetch(messageId);
+    } catch (error) {
+        if (error.code !== 10008) { // Unknown Message
+            console.warn(`Failed to fetch request message ${messageId}:`, error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Builds an attachment-like object for the replacement file of a request
+ * Discord CDN links expire, so a fresh URL is read from the stored message when it still exists
+ * @param {Object} channel - The replacement request channel
+ * @param {Object} request - The replacement request row
+ * @returns {Promise<Object|null>} - { url, name, contentType }, or null if no file could be found
+ */
+async function resolveReplacementFile(channel, request) {
+    const replacementImageMessage = await fetchRequestMessage(channel, request.replacement_message_id);
+    const imageUrl = replacementImageMessage?.attachments.first()?.url
+        || replacementImageMessage?.embeds[0]?.image?.url
+        || request.replacement_url;
+
+    if (!imageUrl) {
+        return null;
+    }
+
+    const url = new URL(imageUrl);
+    return {
+        url: imageUrl,
+        name: url.pathname.split('/').pop(),
+        // Detected from the file when the request was submitted, checked again before upload
+        contentType: request.content_type || null
+    };
+}
+
+/**
+ * Deletes the request, replacement image and original image messages of a request
+ * @param {Object} channel - The replacement request channel
+ * @param {Object} request - The replacement request row
+ */
+async function cleanupRequestMessages(channel, request) {
+    const messages = [
+        ['replacement request', request.main_message_id],
+        ['replacement image', request.replacement_message_id],
+        ['original image', request.original_message_id]
+    ];
+
+    for (const [label, messageId] of messages) {
+        if (!messageId) {
+            continue;
+        }
+
+        try {
+            await channel.messages.delete(messageId);
+            console.log(`Cleaned up ${label} message for post #${request.post_id}`);
+        } catch (error) {
+            console.warn(`Failed to delete ${label} message for post #${request.post_id}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Builds the moderator button row for a replacement request
+ * @param {string} postId - The post ID of the request
+ * @param {string} requesterId - The ID of the user who made the request
+ * @param {number} requestId - The replacement request row ID
+ * @param {string|null} claimedBy - The ID of the moderator who claimed the request, if any
+ * @returns {ActionRowBuilder} - Row with DECLINE, ACCEPT and CLAIM/UNCLAIM buttons
+ */
+function buildModeratorActionRow(postId, requesterId, requestId, claimedBy = null) {
+    const idSuffix = `${postId}:${requesterId}:${requestId}`;
+
+    const declineButton = new ButtonBuilder()
+        .setCustomId(`decline_request:${idSuffix}`)
+        .setLabel('DECLINE')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('❌');
+
+    const acceptButton = new ButtonBuilder()
+        .setCustomId(`accept_request:${idSuffix}`)
+        .setLabel('ACCEPT')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('✅');
+
+    const claimButton = claimedBy
+        ? new ButtonBuilder()
+            .setCustomId(`unclaim_request:${idSuffix}`)
+            .setLabel('UNCLAIM')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('🔓')
+        : new ButtonBuilder()
+            .setCustomId(`claim_request:${idSuffix}`)
+            .setLabel('CLAIM')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🙋');
+
+    return new ActionRowBuilder().addComponents(declineButton, acceptButton, claimButton);
+}
+
+/**
+ * Updates the request message to show who has claimed it
+ * @param {Object} message - The main request message
+ * @param {Object} request - The replacement request row
+ * @param {string|null} claimedBy - The ID of the moderator who claimed the request, or null when released
+ * @returns {Object} - Edit payload with the updated embed and components
+ */
+function buildClaimUpdate(message, request, claimedBy) {
+    const embed = EmbedBuilder.from(message.embeds[0]);
+    const fields = (message.embeds[0].fields || []).filter(field => field.name !== 'Claimed by');
+    if (claimedBy) {
+        fields.push({ name: 'Claimed by', value: `<@${claimedBy}>`, inline: true });
+    }
+    embed.setFields(fields);
+
+    const [visitRow] = message.components;
+    return {
+        embeds: [embed],
+        components: [
+            ...(visitRow ? [ActionRowBuilder.from(visitRow)] : []),
+            buildModeratorActionRow(request.post_id, request.requester_id, request.id, claimedBy)
+        ]
+    };
+}
+
+/**
+ * Builds the row with the UNDELETE POST button shown while a request waits for its post to be undeleted
+ * @param {string} postId - The post ID of the request
+ * @param {string|null} moderatorId - The ID of the moderator holding the claim, or null once it is released
+ * @param {number} requestId - The replacement request row ID
+ * @returns {ActionRowBuilder} - Row with the UNDELETE POST button
+ */
+function buildUndeleteActionRow(postId, moderatorId, requestId) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`undelete_post:${postId}:${moderatorId || ''}:${requestId}`)
+            .setLabel('UNDELETE POST')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('🔄')
+    );
+}
+
+/**
+ * Rebuilds the embed and buttons of a request message for the request's current status
+ * @param {Object} message - The main request message
+ * @param {Object} request - The replacement request row
+ * @returns {Object} - Edit payload with the updated embed and components
+ */
+function buildRequestMessageUpdate(message, request) {
+    const update = buildClaimUpdate(message, request, request.claimed_by);
+    if (request.status === STATUSES.UNDELETE_REQUIRED) {
+        update.components.push(buildUndeleteActionRow(request.post_id, request.claimed_by, request.id));
+    }
+    return update;
+}
+
+/**
+ * Puts the moderator buttons back on a request message after an accept or
+ * undelete stopped before the request moved on
+ * @param {Object} client - The Discord client
+ * @param {Object} request - The replacement request row
+ * @param {string|null} [releasedBy] - The moderator whose claim taken by the accept should be released
+ */
+async function restoreRequestMessage(client, request, releasedBy = null) {
+    if (releasedBy) {
+        const release = database.transitionReplacementRequest(request.id, STATUSES.SUBMITTED, releasedBy, 'Released after the accept did not complete');
+        if (!release.success) {
+            console.warn(`Failed to release the claim on the request for post #${request.post_id}:`, release.error);
+        }
+    }
+
+    // Read the request again, its status and claim may have changed in the meantime
+    const current = findReplacementRequest(request.post_id, null, request.id);
+    if (!current || !isActive(current.status)) {
+        return;
+    }
+
+    try {
+        const channel = await fetchRequestChannel(client, current);
+        const message = channel && await fetchRequestMessage(channel, current.main_message_id);
+        if (message) {
+            await message.edit(buildRequestMessageUpdate(message, current));
+        }
+    } catch (error) {
+        console.warn(`Failed to restore the buttons on the request message for post #${request.post_id}:`, error.message);
+    }
+}
+
+/**
+ * Refuses a moderator action if the request is claimed by someone else
+ * @param {Object} interaction - The button interaction
+ * @param {string} postId - The post ID from the custom ID
+ * @param {string|null} userId - The requester's user ID from the custom ID
+ * @param {string} [requestId] - The request row ID from the custom ID
+ * @returns {Promise<boolean>} - True if the user may act on the request
+ */
+async function ensureClaimOwnership(interaction, postId, userId, requestId) {
+    const request = findReplacementRequest(postId, userId, requestId);
+
+    if (!request || !request.claimed_by || request.claimed_by === interaction.user.id) {
+        return true;
+    }
+
+    await interaction.reply({
+        content: `❌ This request is claimed by <@${request.claimed_by}>. Only they can act on it until it is unclaimed.`,
+        ephemeral: true
+    });
+    return false;
+}
+
+/**
+ * Releases the claim on a request, a claimed request goes back to submitted
+ * while one waiting for its undelete keeps waiting for anyone to undelete it
+ * @param {Object} request - The replacement request row
+ * @param {string|null} actorId - The moderator releasing the claim, or null when it expired
+ * @param {string} note - Why the claim was released
+ * @returns {Object} - Result of the database update
+ */
+function releaseClaim(request, actorId, note) {
+    if (request.status === STATUSES.UNDELETE_REQUIRED) {
+        return database.setReplacementRequestClaim(request.id, request.status, request.claimed_by, null, actorId, note);
+    }
+    return database.transitionReplacementRequest(request.id, STATUSES.SUBMITTED, actorId, note);
+}
+
+/**
+ * Claims a replacement request for the moderator who clicked CLAIM
+ * @param {Object} interaction - The button interaction
+ */
+async function claimRequest(interaction) {
+    const [, postId, userId, requestId] = interaction.customId.split(':');
+    const request = findReplacementRequest(postId, userId, requestId);
+
+    if (!request) {
+        return interaction.reply({ content: `❌ Could not find the replacement request for post #${postId}.`, ephemeral: true });
+    }
+
+    if (request.claimed_by) {
+        return interaction.reply({ content: `❌ This request is already claimed by <@${request.claimed_by}>.`, ephemeral: true });
+    }
+
+    // A request waiting for its undelete stays waiting, only its owner changes
+    const transition = request.status === STATUSES.UNDELETE_REQUIRED
+        ? database.setReplacementRequestClaim(request.id, request.status, null, interaction.user.id, interaction.user.id, 'Claimed')
+        : database.transitionReplacementRequest(request.id, STATUSES.CLAIMED, interaction.user.id);
+    if (!transition.success) {
+        return interaction.reply({ content: `❌ Could not claim the request for post #${postId}: ${transition.error}`, ephemeral: true });
+    }
+
+    await interaction.update(buildRequestMessageUpdate(interaction.message, findReplacementRequest(postId, null, request.id)));
+    console.log(`Request for post #${postId} claimed by moderator ${interaction.user.id}`);
+}
+
+/**
+ * Releases a claimed replacement request
+ * @param {Object} interaction - The button interaction
+ */
+async function unclaimRequest(interaction) {
+    const [, postId, userId, requestId] = interaction.customId.split(':');
+    const request = findReplacementRequest(postId, userId, requestId);
+
+    if (!request || !isActive(request.status) || !request.claimed_by) {
+        return interaction.reply({ content: `❌ The request for post #${postId} is not claimed.`, ephemeral: true });
+    }
+
+    if (request.claimed_by !== interaction.user.id) {
+        return interaction.reply({ content: `❌ Only <@${request.claimed_by}> can unclaim this request.`, ephemeral: true });
+    }
+
+    const transition = releaseClaim(request, interaction.user.id, 'Unclaimed');
+    if (!transition.success) {
+        return interaction.reply({ content: `❌ Could not unclaim the request for post #${postId}: ${transition.error}`, ephemeral: true });
+    }
+
+    await interaction.update(buildRequestMessageUpdate(interaction.message, findReplacementRequest(postId, null, request.id)));
+    console.log(`Request for post #${postId} unclaimed by moderator ${interaction.user.id}`);
+}
+
+/**
+ * Releases claims that have been held longer than the configured timeout
+ * @param {Object} client - The Discord client
+ */
+async function releaseExpiredClaims(client) {
+    const timeoutMinutes = config.replacementRequests?.claimTimeoutMinutes || 30;
+    const result = database.listExpiredClaims(timeoutMinutes);
+
+    if (!result.success) {
+        console.error('Error listing expired claims:', result.error);
+        return;
+    }
+
+    for (const request of result.requests) {
+        const transition = releaseClaim(request, null, `Claim expired after ${timeoutMinutes} minutes`);
+        if (!transition.success) {
+            continue;
+        }
+
+        console.log(`Auto-released claim on request for post #${request.post_id}`);
+
+        try {
+            const channel = await fetchRequestChannel(client, request);
+            const message = channel && await fetchRequestMessage(channel, request.main_message_id);
+            if (message) {
+                await message.edit(buildRequestMessageUpdate(message, { ...request, claimed_by: null }));
+            }
+        } catch (error) {
+            console.warn(`Failed to update request message after releasing claim for post #${request.post_id}:`, error.message);
+        }
+    }
+}
 
 /**
  * Creates and shows a modal for inputting decline reasons
  * @param {Object} interaction - The button interaction
  * @param {string} postId - The post ID from the original request
  * @param {string} userId - The user ID from the original request
+ * @param {string} [requestId] - The replacement request row ID
  */
-async function showDeclineModal(interaction, postId, userId) {
+async function showDeclineModal(interaction, postId, userId, requestId) {
     // Removed the active request check entirely for decline functionality
     // This allows users to decline their own requests if they have moderator permissions
     // Create the modal
     const modal = new ModalBuilder()
-        .setCustomId(`decline_reason:${postId}:${userId}`)
+        .setCustomId(`decline_reason:${postId}:${userId}${requestId ? `:${requestId}` : ''}`)
         .setTitle('Decline Replacement Request');
 
     // Create the text input for decline reason
@@ -147,24 +504,37 @@ async function postDeclineNotification(channel, messageId, postId, reason, moder
 async function processDecline(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
-    try {
-        // Extract data from the custom ID
-        const customId = interaction.customId;
-        const [, postId, userId] = customId.split(':');
+    // Extract data from the custom ID
+    const [, postId, userId, requestId] = interaction.customId.split(':');
 
+    try {
         // Get the decline reason from the modal
         const reason = interaction.fields.getTextInputValue('decline_reason');
 
-        // Get the replacement request channel
-        if (!config.channels || !config.channels.replacementRequestChannel) {
-            return interaction.editReply({ 
-                content: '❌ Replacement request channel is not configured. Please contact a bot administrator.', 
-                ephemeral: true 
+        const request = findReplacementRequest(postId, userId, requestId);
+        if (!request) {
+            return interaction.editReply({
+                content: `❌ Could not find the replacement request for post #${postId}. It may have been created before requests were stored.`,
+                ephemeral: true
             });
         }
 
-        const channel = await interaction.client.channels.fetch(config.channels.replacementRequestChannel);
-        
+        if (!isActive(request.status)) {
+            return interaction.editReply({
+                content: `❌ The replacement request for post #${postId} is already closed (${formatStatus(request.status)}).`,
+                ephemeral: true
+            });
+        }
+
+        if (request.claimed_by && request.claimed_by !== interaction.user.id) {
+            return interaction.editReply({
+                content: `❌ This request is claimed by <@${request.claimed_by}>. Only they can act on it until it is unclaimed.`,
+                ephemeral: true
+            });
+        }
+
+        const channel = await fetchRequestChannel(interaction.client, request);
+
         if (!channel) {
             return interaction.editReply({ 
                 content: '❌ Could not find the replacement request channel. Please contact a bot administrator.', 
@@ -172,49 +542,19 @@ async function processDecline(interaction, client) {
             });
         }
 
-        // Find the original request message with a broader search
-        const messages = await channel.messages.fetch({ limit: 100 });
-        let originalMessage = messages.find(msg =>
-            msg.embeds.length > 0 &&
-            msg.embeds[0].title === '🔄 Replacement Request' &&
-            msg.embeds[0].fields.some(field =>
-                field.name === 'Post ID' && field.value === postId
-            )
-        );
-
-        if (!originalMessage) {
-            // Try alternative search methods if the first attempt fails
-            console.log(`First search failed for post #${postId}, trying alternative search...`);
-            
-            // Search for messages with the post ID in any field or content
-            const altMessage = messages.find(msg =>
-                msg.content.includes(postId) ||
-                msg.embeds.some(embed =>
-                    embed.fields.some(field =>
-                        field.value === postId || field.name === 'Post ID'
-                    )
-                )
-            );
-            
-            if (altMessage) {
-                console.log(`Found alternative message for post #${postId}: ${altMessage.id}`);
-                originalMessage = altMessage;
-            }
-        }
-
-        if (!originalMessage) {
-            console.error(`Could not find original request message for post #${postId} after searching ${messages.size} messages`);
+        const transition = database.transitionReplacementRequest(request.id, STATUSES.DECLINED, interaction.user.id, reason);
+        if (!transition.success) {
             return interaction.editReply({
-                content: `❌ Could not find the original request message for post #${postId}. The message may have been deleted or is too old.`,
+                content: `❌ Could not decline the request for post #${postId}: ${transition.error}`,
                 ephemeral: true
             });
         }
 
         // Send decline DM to the user
-        const dmSent = await sendDeclineDM(client, userId, postId, reason);
+        const dmSent = await sendDeclineDM(client, request.requester_id, postId, reason);
         
         // Post a decline notification in the channel
-        const notificationSent = await postDeclineNotification(channel, originalMessage.id, postId, reason, interaction.user.id, userId);
+        const notificationSent = await postDeclineNotification(channel, request.main_message_id, postId, reason, interaction.user.id, request.requester_id);
 
         // Send confirmation to the moderator
         let confirmationMessage = `✅ Replacement request for post #${postId} has been declined.`;
@@ -231,65 +571,18 @@ async function processDecline(interaction, client) {
         })
 
         // Clean up the original request message and associated images
-        try {
-            await originalMessage.delete();
-            console.log(`Cleaned up replacement request message for post #${postId}`);
-
-            // Find and delete the replacement image message
-            try {
-                const replacementImageMessage = messages.find(msg =>
-                    msg.author.id === interaction.client.user.id &&
-                    msg.embeds.length > 0 &&
-                    msg.embeds[0].title === 'REPLACEMENT IMAGE' &&
-                    msg.embeds[0].footer?.text === `For Post ID: ${postId}`
-                );
-
-                if (replacementImageMessage) {
-                    await replacementImageMessage.delete();
-                    console.log(`Cleaned up replacement image message for post #${postId}`);
-                }
-            } catch (imgError) {
-                console.warn(`Failed to delete replacement image message for post #${postId}:`, imgError.message);
-            }
+        await cleanupRequestMessages(channel, request);
 
-            // Find and delete the original image message if it exists
-            try {
-                const originalImageMessage = messages.find(msg =>
-                    msg.author.id === interaction.client.user.id &&
-                    msg.embeds.length > 0 &&
-                    (msg.embeds[0].title === 'ORIGINAL IMAGE:' || msg.embeds[0].title === 'ORIGINAL IMAGE (DELETED):') &&
-                    msg.embeds[0].url === `https://e6ai.net/posts/${postId}`
-                );
-
-                if (originalImageMessage) {
-                    await originalImageMessage.delete();
-                    console.log(`Cleaned up original image message for post #${postId}`);
-                }
-            } catch (origImgError) {
-                console.warn(`Failed to delete original image message for post #${postId}:`, origImgError.message);
-            }
-
-            // Remove from active requests and release lock
-            const requestKey = `${postId}:${userId}`;
-            activeRequests.delete(requestKey);
-
-            // Release the lock on this post
-            if (requestLocks.has(postId)) {
-                requestLocks.delete(postId);
-                console.log(`Released lock for post #${postId}`);
-            }
-        } catch (cleanupError) {
-            console.warn(`Failed to clean up original request message for post #${postId}:`, cleanupError.message);
+        // Release the lock on this post
+        if (requestLocks.delete(postId)) {
+            console.log(`Released lock for post #${postId}`);
         }
 
-        // Reply already sent above
-
     } catch (error) {
         console.error('Error processing decline request:', error);
         
         // Make sure to release lock even on error
-        if (postId && requestLocks.has(postId)) {
-            requestLocks.delete(postId);
+        if (requestLocks.delete(postId)) {
             console.log(`Released lock for post #${postId} after error`);
         }
         
@@ -301,140 +594,185 @@ async function processDecline(interaction, client) {
 }
 
 /**
- * Processes an accept request
+ * Creates and shows a modal for choosing how an accepted replacement is submitted
  * @param {Object} interaction - The button interaction
+ * @param {string} postId - The post ID from the original request
+ * @param {string} userId - The user ID from the original request
+ * @param {string} [requestId] - The replacement request row ID
+ */
+async function showAcceptModal(interaction, postId, userId, requestId) {
+    const request = findReplacementRequest(postId, userId, requestId);
+
+    if (!request) {
+        return interaction.reply({
+            content: `❌ Could not find the replacement request for post #${postId}. It may have been created before requests were stored.`,
+            ephemeral: true
+        });
+    }
+
+    // Create the modal
+    const modal = new ModalBuilder()
+        .setCustomId(`accept_modal:${postId}:${request.requester_id}:${request.id}`)
+        .setTitle('Accept Replacement Request');
+
+    // Pre-fill the reason with what the requester wrote
+    const reasonInput = new TextInputBuilder()
+        .setCustomId('accept_reason')
+        .setLabel('Replacement reason (shown on e6AI)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setValue(request.reason.substring(0, 1000))
+        .setRequired(true)
+        .setMinLength(5)
+        .setMaxLength(1000);
+
+    const sourceInput = new TextInputBuilder()
+        .setCustomId('accept_source')
+        .setLabel('Source URL (Optional)')
+        .setStyle(TextInputStyle.Short)
+        .setPlaceholder('https://example.com/source')
+        .setRequired(false)
+        .setMaxLength(500);
+
+    const asPendingInput = new TextInputBuilder()
+        .setCustomId('accept_as_pending')
+        .setLabel('Submit as pending? (yes/no)')
+        .setStyle(TextInputStyle.Short)
+        .setValue('yes')
+        .setRequired(true)
+        .setMaxLength(5);
+
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(reasonInput),
+        new ActionRowBuilder().addComponents(sourceInput),
+        new ActionRowBuilder().addComponents(asPendingInput)
+    );
+
+    // Show the modal to the user
+    await interaction.showModal(modal);
+}
+
+/**
+ * Processes an accept request
+ * @param {Object} interaction - The accept modal submit interaction
  * @param {Object} client - The Discord client
  */
 async function processAccept(interaction, client) {
     await interaction.deferReply({ ephemeral: true });
 
-    try {
-        // Extract data from the custom ID
-        const customId = interaction.customId;
-        const [, postId, userId] = customId.split(':');
+    // Extract data from the custom ID
+    const [, postId, userId, requestId] = interaction.customId.split(':');
+    let request = null;
+
+    // Whether this accept claimed the request itself, and whether the request has moved on from where it started
+    let claimedHere = false;
+    let settled = false;
+
+    // Get the submission options from the modal
+    const reason = interaction.fields.getTextInputValue('accept_reason').trim();
+    const source = interaction.fields.getTextInputValue('accept_source').trim();
+    const asPendingValue = interaction.fields.getTextInputValue('accept_as_pending').trim();
 
-        // Get the replacement request channel
-        if (!config.channels || !config.channels.replacementRequestChannel) {
+    try {
+        request = findReplacementRequest(postId, userId, requestId);
+        if (!request) {
             return interaction.editReply({
-                content: '❌ Replacement request channel is not configured. Please contact a bot administrator.',
+                content: `❌ Could not find the replacement request for post #${postId}. It may have been created before requests were stored.`,
                 ephemeral: true
             });
         }
 
-        const channel = await interaction.client.channels.fetch(config.channels.replacementRequestChannel);
-        
-        if (!channel) {
+        if (!isActive(request.status)) {
             return interaction.editReply({
-                content: '❌ Could not find the replacement request channel. Please contact a bot administrator.',
+                content: `❌ The replacement request for post #${postId} is already closed (${formatStatus(request.status)}).`,
                 ephemeral: true
             });
         }
 
-        // Find the original request message with a broader search
-        const messages = await channel.messages.fetch({ limit: 100 });
-        let originalMessage = messages.find(msg =>
-            msg.embeds.length > 0 &&
-            msg.embeds[0].title === '🔄 Replacement Request' &&
-            msg.embeds[0].fields.some(field =>
-                field.name === 'Post ID' && field.value === postId
-            )
-        );
+        if (!/^(y|yes|n|no|true|false)$/i.test(asPendingValue)) {
+            return interaction.editReply({
+                content: '❌ "Submit as pending" must be yes or no.',
+                ephemeral: true
+            });
+        }
+        const asPending = /^(y|yes|true)$/i.test(asPendingValue);
 
-        if (!originalMessage) {
-            // Try alternative search methods if the first attempt fails
-            console.log(`First search failed for post #${postId}, trying alternative search...`);
-            
-            // Search for messages with the post ID in any field or content
-            const altMessage = messages.find(msg =>
-                msg.content.includes(postId) ||
-                msg.embeds.some(embed =>
-                    embed.fields.some(field =>
-                        field.value === postId || field.name === 'Post ID'
-                    )
-                )
-            );
-            
-            if (altMessage) {
-                console.log(`Found alternative message for post #${postId}: ${altMessage.id}`);
-                originalMessage = altMessage;
+        if (source) {
+            try {
+                new URL(source);
+            } catch (error) {
+                return interaction.editReply({
+                    content: '❌ Invalid source URL provided. Please provide a valid URL or leave it empty.',
+                    ephemeral: true
+                });
             }
         }
 
-        if (!originalMessage) {
-            console.error(`Could not find original request message for post #${postId} after searching ${messages.size} messages`);
+        if (request.claimed_by && request.claimed_by !== interaction.user.id) {
             return interaction.editReply({
-                content: `❌ Could not find the original request message for post #${postId}. The message may have been deleted or is too old.`,
+                content: `❌ This request is claimed by <@${request.claimed_by}>. Only they can act on it until it is unclaimed.`,
                 ephemeral: true
             });
         }
 
-        // --- New logic to find replacement file ---
-
-        // Find the replacement image message using the new method (with footer)
-        let replacementImageMessage = messages.find(msg =>
-            msg.author.id === interaction.client.user.id &&
-            msg.embeds.length > 0 &&
-            msg.embeds[0].title === 'REPLACEMENT IMAGE' &&
-            msg.embeds[0].footer?.text === `For Post ID: ${postId}`
-        );
-
-        if (!replacementImageMessage) {
-            // Fallback for older requests
-            console.log(`Could not find new replacement message for post #${postId}, trying fallback...`);
-            const messagesBefore = await channel.messages.fetch({ before: originalMessage.id, limit: 5 });
-            replacementImageMessage = messagesBefore.find(msg =>
-                msg.author.id === interaction.client.user.id &&
-                msg.embeds.length > 0 &&
-                (msg.embeds[0].title === 'REPLACEMENT IMAGE' || msg.embeds[0].title === 'REPLACEMENT IMAGE:') &&
-                msg.embeds[0].image?.url
-            );
-        }
-
-        if (!replacementImageMessage) {
+        const channel = await fetchRequestChannel(interaction.client, request);
+        
+        if (!channel) {
             return interaction.editReply({
-                content: `❌ Could not find the replacement file in the original request for post #${postId}. The message may be too old or the bot might have been updated.`,
+                content: '❌ Could not find the replacement request channel. Please contact a bot administrator.',
                 ephemeral: true
             });
         }
 
-        const replacementEmbed = replacementImageMessage.embeds[0];
-        const imageUrl = replacementEmbed.image?.url;
+        const imageAttachment = await resolveReplacementFile(channel, request);
 
-        if (!imageUrl) {
+        if (!imageAttachment) {
             return interaction.editReply({
-                content: `❌ Could not find the replacement file in the original request for post #${postId}. The image URL was missing from the embed.`,
+                content: `❌ Could not find the replacement file for post #${postId}. The request message may have been deleted.`,
                 ephemeral: true
             });
         }
 
-        // Create a mock attachment object from the embed image URL
-        const url = new URL(imageUrl);
-        const name = url.pathname.split('/').pop();
-        const imageAttachment = {
-            url: imageUrl,
-            name: name,
-            contentType: 'image/png' // Assuming png, as we can't know for sure
-        };
+        // Claim the request once it is known to be processable, so nobody else can act on it meanwhile
+        if (request.status === STATUSES.SUBMITTED) {
+            const claim = database.transitionReplacementRequest(request.id, STATUSES.CLAIMED, interaction.user.id);
+            if (!claim.success) {
+                return interaction.editReply({
+                    content: `❌ Could not claim the request for post #${postId}: ${claim.error}`,
+                    ephemeral: true
+                });
+            }
+            claimedHere = true;
+        }
+
+        // Remember the moderator's choices so the undelete step submits the same replacement
+        database.setReplacementRequestSubmission(request.id, reason, source, asPending);
 
         // Check if the post is deleted
         const postResult = await fetchPost.getPost(postId);
         const isPostDeleted = postResult.post?.flags?.deleted;
 
         if (isPostDeleted) {
-            // Post is deleted, show undelete button instead of proceeding with replacement
-            const undeleteButton = new ButtonBuilder()
-                .setCustomId(`undelete_post:${postId}:${interaction.user.id}`)
-                .setLabel('UNDELETE POST')
-                .setStyle(ButtonStyle.Success)
-                .setEmoji('🔄');
-
-            const undeleteActionRow = new ActionRowBuilder()
-                .addComponents(undeleteButton);
+            const transition = database.transitionReplacementRequest(request.id, STATUSES.UNDELETE_REQUIRED, interaction.user.id);
+            if (!transition.success) {
+                return interaction.editReply({
+                    content: `❌ Could not update the request for post #${postId}: ${transition.error}`,
+                    ephemeral: true
+                });
+            }
+            settled = true;
+
+            // Post is deleted, add the undelete button before proceeding with the replacement
+            const originalMessage = await fetchRequestMessage(channel, request.main_message_id);
+            if (!originalMessage) {
+                return interaction.editReply({
+                    content: `❌ Post #${postId} is deleted and the request message could not be found to add an undelete button.`,
+                    ephemeral: true
+                });
+            }
 
-            // Update the original message to show undelete option
             await originalMessage.edit({
                 content: `⚠️ Post #${postId} is currently deleted. Please click the button below to undelete it before proceeding with the replacement.`,
-                components: [undeleteActionRow]
+                ...buildRequestMessageUpdate(originalMessage, findReplacementRequest(postId, null, request.id))
             });
 
             await interaction.editReply({
@@ -449,10 +787,10 @@ async function processAccept(interaction, client) {
         const replacementResult = await replacePost.processReplacement(
             postId,
             imageAttachment,
-            'Discord Bot replacement',
+            reason,
             {
-                asPending: true,  // Set as_pending to true by default
-                source: undefined // No source provided
+                asPending,
+                source: source || undefined
             }
         );
 
@@ -460,14 +798,21 @@ async function processAccept(interaction, client) {
             throw new Error(replacementResult.error || 'Replacement failed');
         }
 
+        // The replacement is already on e6AI, so finish up even if the request record could not be updated
+        const accepted = database.transitionReplacementRequest(request.id, STATUSES.ACCEPTED, interaction.user.id);
+        if (!accepted.success) {
+            console.error(`Failed to mark the request for post #${postId} as accepted:`, accepted.error);
+        }
+        settled = true;
+
         // Send accept DM to the user
-        const dmSent = await sendAcceptDM(client, userId, postId);
+        const dmSent = await sendAcceptDM(client, request.requester_id, postId);
         
         // Post acceptance notification in the channel
-        const notificationSent = await postAcceptanceNotification(channel, postId, interaction.user.id, userId, 'accept');
+        const notificationSent = await postAcceptanceNotification(channel, postId, interaction.user.id, request.requester_id, 'accept');
         
         // Reply to the original message and disable buttons
-        const replySent = await replyToOriginalMessageAndDisableButtons(channel, originalMessage.id, postId, interaction.user.id);
+        const replySent = await replyToOriginalMessageAndDisableButtons(channel, request.main_message_id, postId, interaction.user.id);
 
         // Send confirmation to the moderator first, before deleting the message
         let confirmationMessage = `✅ Replacement request for post #${postId} has been accepted and processed successfully.`;
@@ -477,6 +822,9 @@ async function processAccept(interaction, client) {
         if (!replySent) {
             confirmationMessage += '\n⚠️ Failed to reply to the original message.';
         }
+        if (!accepted.success) {
+            confirmationMessage += `\n⚠️ The request could not be marked as accepted: ${accepted.error}`;
+        }
         
         await interaction.editReply({
             content: confirmationMessage,
@@ -484,65 +832,38 @@ async function processAccept(interaction, client) {
         });
 
         // Clean up the original request message and associated images
-        try {
-            await originalMessage.delete();
-            console.log(`Cleaned up replacement request message for post #${postId}`);
-
-            // Also delete the replacement image message
-            if (replacementImageMessage) {
-                try {
-                    await replacementImageMessage.delete();
-                    console.log(`Cleaned up replacement image message for post #${postId}`);
-                } catch (imgError) {
-                    console.warn(`Failed to delete replacement image message for post #${postId}:`, imgError.message);
-                }
-            }
-
-            // Find and delete the original image message if it exists
-            try {
-                const originalImageMessage = messages.find(msg =>
-                    msg.author.id === interaction.client.user.id &&
-                    msg.embeds.length > 0 &&
-                    (msg.embeds[0].title === 'ORIGINAL IMAGE:' || msg.embeds[0].title === 'ORIGINAL IMAGE (DELETED):') &&
-                    msg.embeds[0].url === `https://e6ai.net/posts/${postId}`
-                );
-
-                if (originalImageMessage) {
-                    await originalImageMessage.delete();
-                    console.log(`Cleaned up original image message for post #${postId}`);
-                }
-            } catch (origImgError) {
-                console.warn(`Failed to delete original image message for post #${postId}:`, origImgError.message);
-            }
-
-            // Remove from active requests and release lock
-            const requestKey = `${postId}:${userId}`;
-            activeRequests.delete(requestKey);
+        await cleanupRequestMessages(channel, request);
 
-            // Release the lock on this post
-            if (requestLocks.has(postId)) {
-                requestLocks.delete(postId);
-                console.log(`Released lock for post #${postId}`);
-            }
-        } catch (cleanupError) {
-            console.warn(`Failed to clean up original request message for post #${postId}:`, cleanupError.message);
+        // Release the lock on this post
+        if (requestLocks.delete(postId)) {
+            console.log(`Released lock for post #${postId}`);
         }
 
-        // Reply already sent above
-
     } catch (error) {
         console.error('Error processing accept request:', error);
+
+        // A temporary e6AI problem leaves the request open so it can be accepted again
+        const transient = api.isTransientError(error);
+        if (request && !transient) {
+            const failed = database.transitionReplacementRequest(request.id, STATUSES.FAILED, interaction.user.id, error.message);
+            settled = failed.success;
+        }
         
         // Make sure to release lock even on error
-        if (postId && requestLocks.has(postId)) {
-            requestLocks.delete(postId);
+        if (requestLocks.delete(postId)) {
             console.log(`Released lock for post #${postId} after error`);
         }
         
         await interaction.editReply({
-            content: `❌ An error occurred while processing the accept request: ${error.message}`,
+            content: `❌ An error occurred while processing the accept request: ${error.message}`
+                + (transient ? '\nThe request is still open, please try again in a moment.' : ''),
             ephemeral: true
         });
+    } finally {
+        // Put the buttons back when the request is still waiting where it was
+        if (request && !settled) {
+            await restoreRequestMessage(interaction.client, request, claimedHere ? interaction.user.id : null);
+        }
     }
 }
 
@@ -617,130 +938,75 @@ async function replyToOriginalMessageAndDisableButtons(channel, messageId, postI
  * Handles the undeletion of a post and then processes the replacement
  * @param {Object} interaction - The button interaction
  * @param {string} postId - The post ID to undelete
- * @param {string} moderatorId - The ID of the moderator who initiated the undeletion
+ * @param {string} [requestId] - The replacement request row ID
  */
-async function handleUndeletePost(interaction, postId, moderatorId) {
+async function handleUndeletePost(interaction, postId, requestId) {
     await interaction.deferReply({ ephemeral: true });
 
+    // The moderator who clicked UNDELETE is the one accepting, whoever added the button
+    const moderatorId = interaction.user.id;
+    let request = null;
+    let settled = false;
+
     try {
-        // Get the replacement request channel
-        if (!config.channels || !config.channels.replacementRequestChannel) {
+        // Undelete buttons posted before requests were persisted carry no request ID
+        request = requestId ? findReplacementRequest(postId, null, requestId) : null;
+
+        if (!request) {
             return interaction.editReply({
-                content: '❌ Replacement request channel is not configured. Please contact a bot administrator.',
+                content: `❌ Could not find the replacement request for post #${postId}. It may have been created before requests were stored.`,
                 ephemeral: true
             });
         }
 
-        const channel = await interaction.client.channels.fetch(config.channels.replacementRequestChannel);
-        
-        if (!channel) {
+        if (!isActive(request.status)) {
             return interaction.editReply({
-                content: '❌ Could not find the replacement request channel. Please contact a bot administrator.',
+                content: `❌ The replacement request for post #${postId} is already closed (${formatStatus(request.status)}).`,
                 ephemeral: true
             });
         }
 
-        // Find the original request message with a broader search
-        const messages = await channel.messages.fetch({ limit: 100 });
-        let originalMessage = messages.find(msg =>
-            msg.embeds.length > 0 &&
-            msg.embeds[0].title === '🔄 Replacement Request' &&
-            msg.embeds[0].fields.some(field =>
-                field.name === 'Post ID' && field.value === postId
-            )
-        );
-
-        if (!originalMessage) {
-            // Try alternative search methods if the first attempt fails
-            console.log(`First search failed for post #${postId}, trying alternative search...`);
-            
-            // Search for messages with the post ID in any field or content
-            const altMessage = messages.find(msg =>
-                msg.content.includes(postId) ||
-                msg.embeds.some(embed =>
-                    embed.fields.some(field =>
-                        field.value === postId || field.name === 'Post ID'
-                    )
-                )
-            );
-            
-            if (altMessage) {
-                console.log(`Found alternative message for post #${postId}: ${altMessage.id}`);
-                originalMessage = altMessage;
-            }
-        }
-
-        if (!originalMessage) {
-            console.error(`Could not find original request message for post #${postId} after searching ${messages.size} messages`);
+        if (request.claimed_by && request.claimed_by !== moderatorId) {
             return interaction.editReply({
-                content: `❌ Could not find the original request message for post #${postId}. The message may have deleted or is too old.`,
+                content: `❌ This request is claimed by <@${request.claimed_by}>. Only they can act on it until it is unclaimed.`,
                 ephemeral: true
             });
         }
 
-        // Attempt to undelete the post
-        const undeleteResult = await replacePost.handlePostUndeletion(postId);
-
-        if (!undeleteResult.success) {
-            throw new Error(undeleteResult.error || 'Failed to undelete post');
-        }
-
-        // --- New logic to find replacement file ---
-
-        // Find the replacement image message using the new method (with footer)
-        let replacementImageMessage = messages.find(msg =>
-            msg.author.id === interaction.client.user.id &&
-            msg.embeds.length > 0 &&
-            msg.embeds[0].title === 'REPLACEMENT IMAGE' &&
-            msg.embeds[0].footer?.text === `For Post ID: ${postId}`
-        );
-
-        if (!replacementImageMessage) {
-            // Fallback for older requests
-            console.log(`Could not find new replacement message for post #${postId}, trying fallback...`);
-            const messagesBefore = await channel.messages.fetch({ before: originalMessage.id, limit: 5 });
-            replacementImageMessage = messagesBefore.find(msg =>
-                msg.author.id === interaction.client.user.id &&
-                msg.embeds.length > 0 &&
-                (msg.embeds[0].title === 'REPLACEMENT IMAGE' || msg.embeds[0].title === 'REPLACEMENT IMAGE:') &&
-                msg.embeds[0].image?.url
-            );
-        }
-
-        if (!replacementImageMessage) {
+        const channel = await fetchRequestChannel(interaction.client, request);
+        
+        if (!channel) {
             return interaction.editReply({
-                content: `❌ Could not find the replacement file in the original request for post #${postId}. The message may be too old or the bot might have been updated.`,
+                content: '❌ Could not find the replacement request channel. Please contact a bot administrator.',
                 ephemeral: true
             });
         }
 
-        const replacementEmbed = replacementImageMessage.embeds[0];
-        const imageUrl = replacementEmbed.image?.url;
+        const imageAttachment = await resolveReplacementFile(channel, request);
 
-        if (!imageUrl) {
+        if (!imageAttachment) {
             return interaction.editReply({
-                content: `❌ Could not find the replacement file in the original request for post #${postId}. The image URL was missing from the embed.`,
+                content: `❌ Could not find the replacement file for post #${postId}. The request message may have been deleted.`,
                 ephemeral: true
             });
         }
 
-        // Create a mock attachment object from the embed image URL
-        const url = new URL(imageUrl);
-        const name = url.pathname.split('/').pop();
-        const imageAttachment = {
-            url: imageUrl,
-            name: name,
-            contentType: 'image/png' // Assuming png, as we can't know for sure
-        };
+        // Attempt to undelete the post
+        const undeleteResult = await replacePost.handlePostUndeletion(postId);
+
+        if (!undeleteResult.success) {
+            throw new Error(undeleteResult.error || 'Failed to undelete post', { cause: undeleteResult.cause });
+        }
 
         // Process the replacement using the replacePost utility
+        // Requests accepted before the accept modal existed have no stored submission options
         const replacementResult = await replacePost.processReplacement(
             postId,
             imageAttachment,
-            'Discord Bot replacement',
+            request.submission_reason || DEFAULT_SUBMISSION_REASON,
             {
-                asPending: true,  // Set as_pending to true by default
-                source: undefined // No source provided
+                asPending: request.submission_as_pending === null ? true : request.submission_as_pending === 1,
+                source: request.submission_source || undefined
             }
         );
 
@@ -748,30 +1014,25 @@ async function handleUndeletePost(interaction, postId, moderatorId) {
             throw new Error(replacementResult.error || 'Replacement failed');
         }
 
-        // Send confirmation DM to the original request user (if we can get it)
-        const originalEmbed = originalMessage.embeds[0];
-        const requestedByField = originalEmbed.fields.find(field => field.name === 'Requested by');
-        let originalUserId = null;
-        if (requestedByField) {
-            const userIdMatch = requestedByField.value.match(/\((\d+)\)/);
-            if (userIdMatch) {
-                originalUserId = userIdMatch[1];
-            }
+        // The replacement is already on e6AI, so finish up even if the request record could not be updated
+        const accepted = database.transitionReplacementRequest(request.id, STATUSES.ACCEPTED, moderatorId);
+        if (!accepted.success) {
+            console.error(`Failed to mark the request for post #${postId} as accepted:`, accepted.error);
         }
+        settled = true;
 
-        if (originalUserId) {
-            try {
-                await sendAcceptDM(interaction.client, originalUserId, postId);
-            } catch (dmError) {
-                console.error(`Failed to send DM to user ${originalUserId}:`, dmError);
-            }
+        // Send confirmation DM to the original request user
+        try {
+            await sendAcceptDM(interaction.client, request.requester_id, postId);
+        } catch (dmError) {
+            console.error(`Failed to send DM to user ${request.requester_id}:`, dmError);
         }
         
         // Reply to the original message and disable buttons
-        const replySent = await replyToOriginalMessageAndDisableButtons(channel, originalMessage.id, postId, moderatorId);
+        const replySent = await replyToOriginalMessageAndDisableButtons(channel, request.main_message_id, postId, moderatorId);
 
         // Post acceptance notification in the channel
-        const notificationSent = await postAcceptanceNotification(channel, postId, moderatorId, originalUserId, 'undelete');
+        const notificationSent = await postAcceptanceNotification(channel, postId, moderatorId, request.requester_id, 'undelete');
 
         // Send confirmation to the moderator first, before deleting the message
         let confirmationMessage = `✅ Post #${postId} has been undeleted and the replacement has been processed successfully!`;
@@ -781,6 +1042,9 @@ async function handleUndeletePost(interaction, postId, moderatorId) {
         if (!replySent) {
             confirmationMessage += '\n⚠️ Failed to reply to the original message.';
         }
+        if (!accepted.success) {
+            confirmationMessage += `\n⚠️ The request could not be marked as accepted: ${accepted.error}`;
+        }
         
         await interaction.editReply({
             content: confirmationMessage,
@@ -788,115 +1052,58 @@ async function handleUndeletePost(interaction, postId, moderatorId) {
         });
         
         // Clean up the original request message and associated images
-        try {
-            await originalMessage.delete();
-            console.log(`Cleaned up replacement request message for post #${postId}`);
-
-            // Also delete the replacement image message
-            if (replacementImageMessage) {
-                try {
-                    await replacementImageMessage.delete();
-                    console.log(`Cleaned up replacement image message for post #${postId}`);
-                } catch (imgError) {
-                    console.warn(`Failed to delete replacement image message for post #${postId}:`, imgError.message);
-                }
-            }
-
-            // Find and delete the original image message if it exists
-            try {
-                const originalImageMessage = messages.find(msg =>
-                    msg.author.id === interaction.client.user.id &&
-                    msg.embeds.length > 0 &&
-                    (msg.embeds[0].title === 'ORIGINAL IMAGE:' || msg.embeds[0].title === 'ORIGINAL IMAGE (DELETED):') &&
-                    msg.embeds[0].url === `https://e6ai.net/posts/${postId}`
-                );
-
-                if (originalImageMessage) {
-                    await originalImageMessage.delete();
-                    console.log(`Cleaned up original image message for post #${postId}`);
-                }
-            } catch (origImgError) {
-                console.warn(`Failed to delete original image message for post #${postId}:`, origImgError.message);
-            }
-        } catch (cleanupError) {
-            console.warn(`Failed to clean up original request message for post #${postId}:`, cleanupError.message);
-        }
-
-        // Reply already sent above
+        await cleanupRequestMessages(channel, request);
 
     } catch (error) {
         console.error('Error processing undelete request:', error);
+
+        // A temporary e6AI problem leaves the request waiting for the undelete
+        const transient = api.isTransientError(error);
+        if (request && !transient) {
+            const failed = database.transitionReplacementRequest(request.id, STATUSES.FAILED, moderatorId, error.message);
+            settled = failed.success;
+        }
         
         // Make sure to release lock even on error
-        if (postId && requestLocks.has(postId)) {
-            requestLocks.delete(postId);
+        if (requestLocks.delete(postId)) {
             console.log(`Released lock for post #${postId} after error`);
         }
         
         await interaction.editReply({
-            content: `❌ An error occurred while processing the undelete request: ${error.message}`,
+            content: `❌ An error occurred while processing the undelete request: ${error.message}`
+                + (transient ? '\nThe request is still open, please try again in a moment.' : ''),
             ephemeral: true
         });
+    } finally {
+        if (request && !settled) {
+            await restoreRequestMessage(interaction.client, request);
+        }
     }
 }
 
 /**
- * Automatically clean up stale locks and requests
+ * Automatically clean up stale locks
  * This runs periodically to ensure no locks get stuck
  */
 function cleanupStaleLocks() {
     const now = Date.now();
     const staleThreshold = 15 * 60 * 1000; // 15 minutes
     let clearedLocks = 0;
-    let clearedRequests = 0;
     
-    // Clean up stale request locks
-    for (const postId of requestLocks) {
-        // Since we don't store timestamps with locks, 
-        // we'll check if there's a corresponding active request
-        let hasActiveRequest = false;
-        for (const [key, value] of activeRequests.entries()) {
-            if (key.startsWith(`${postId}:`)) {
-                hasActiveRequest = true;
-                break;
-            }
-        }
-        
-        // If no active request, clear the lock
-        if (!hasActiveRequest) {
+    for (const [postId, lockedAt] of requestLocks.entries()) {
+        if (now - lockedAt > staleThreshold) {
             requestLocks.delete(postId);
             console.log(`Auto-cleared stale lock for post #${postId}`);
             clearedLocks++;
         }
     }
     
-    // Clean up stale active requests
-    for (const [key, request] of activeRequests.entries()) {
-        // Check if request is older than threshold
-        if (now - request.timestamp > staleThreshold) {
-            activeRequests.delete(key);
-            console.log(`Auto-cleared stale request: ${key}`);
-            clearedRequests++;
-            
-            // Also clear any associated lock
-            const postId = key.split(':')[0];
-            if (requestLocks.has(postId)) {
-                requestLocks.delete(postId);
-                console.log(`Auto-cleared associated lock for post #${postId}`);
-                clearedLocks++;
-            }
-        }
-    }
-    
-    if (clearedLocks > 0 || clearedRequests > 0) {
-        console.log(`Auto-cleanup completed: cleared ${clearedLocks} locks and ${clearedRequests} stale requests`);
+    if (clearedLocks > 0) {
+        console.log(`Auto-cleanup completed: cleared ${clearedLocks} stale locks`);
     }
 }
 
-// Run cleanup immediately on module load
-cleanupStaleLocks();
-
-// Then run cleanup every 5 minutes
+// Run cleanup every 5 minutes
 setInterval(cleanupStaleLocks, 5 * 60 * 1000);
 
 /**
@@ -952,6 +1159,7 @@ async function postAcceptanceNotification(channel, postId, moderatorId, requeste
 
 module.exports = {
     showDeclineModal,
+    showAcceptModal,
     sendDeclineDM,
     postDeclineNotification,
     processDecline,
@@ -960,6 +1168,14 @@ module.exports = {
     replyToOriginalMessageAndDisableButtons,
     handleUndeletePost,
     postAcceptanceNotification,
-    activeRequests,
+    findReplacementRequest,
+    fetchRequestChannel,
+    fetchRequestMessage,
+    cleanupRequestMessages,
+    buildModeratorActionRow,
+    ensureClaimOwnership,
+    claimRequest,
+    unclaimRequest,
+    releaseExpiredClaims,
     requestLocks
 };
\ No newline at end of file
@@ -9,10 +9,20 @@
  * @module replacePost
  */
 
+const crypto = require('crypto');
+const axios = require('axios');
 const fetchPost = require('./fetchPost');
 const api = require('./api');
+const fileType = require('./fileType');
+const dtextFormatter = require('./dtextFormatter');
 const config = require('../../config.json');
 
+// e6AI's upload limit, larger files are refused before they are downloaded in full
+const MAX_REPLACEMENT_FILE_SIZE = 100 * 1024 * 1024;
+
+// How long a replacement file may take to download
+const DOWNLOAD_TIMEOUT_MS = 60000;
+
 /**
  * Helper function to check if API return printing is enabled
  * @returns {boolean} True if printReturn is enabled
@@ -47,7 +57,8 @@ const validateInput = (postId, imageAttachment, reason, options = {}) => {
     throw new Error('Valid image attachment is required');
   }
 
-  if (!allowedContentTypes.includes(imageAttachment.contentType)) {
+  // The content type is optional here, the real type is detected from the file after download
+  if (imageAttachment.contentType && !allowedContentTypes.includes(imageAttachment.contentType)) {
     const types = allowedContentTypes.join(', ');
     throw new Error(`Please upload a valid file type (${types})`);
   }
@@ -63,15 +74,79 @@ const validateInput = (postId, imageAttachment, reason, options = {}) => {
   }
 };
 
+/**
+ * Download a replacement file and identify it
+ * @param {string} url - The file URL
+ * @param {string} name - File name or URL, used to check the extension matches the content
+ * @returns {Promise<{buffer: Buffer, contentType: string, md5: string, size: number, width: number|null, height: number|null}>} The file and its details
+ * @throws {Error} If the file is too large, not a supported type or its extension doesn't match
+ */
+const downloadReplacementFile = async (url, name) => {
+  if (shouldPrintApiReturns()) {
+    console.log(`Fetching replacement file from ${url}...`);
+  }
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_REPLACEMENT_FILE_SIZE,
+      maxBodyLength: MAX_REPLACEMENT_FILE_SIZE,
+      timeout: DOWNLOAD_TIMEOUT_MS
+    });
+  } catch (error) {
+    if (error.message?.startsWith('maxContentLength')) {
+      throw new Error(`The replacement file is larger than e6AI's ${MAX_REPLACEMENT_FILE_SIZE / (1024 * 1024)}MB upload limit`);
+    }
+    throw error;
+  }
+  const buffer = Buffer.from(response.data);
+
+  // Check the real file type, the attachment's content type only reflects its extension
+  const contentValidation = fileType.validateFileContent(buffer, name || url);
+  if (!contentValidation.valid) {
+    throw new Error(contentValidation.message);
+  }
+
+  const dimensions = fileType.readImageDimensions(buffer, contentValidation.contentType);
+
+  return {
+    buffer,
+    contentType: contentValidation.contentType,
+    md5: crypto.createHash('md5').update(buffer).digest('hex'),
+    size: buffer.length,
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null
+  };
+};
+
+/**
+ * Check whether a replacement file already exists on e6AI
+ * @param {string} md5 - MD5 hash of the replacement file
+ * @param {Object} post - The post being replaced
+ * @returns {Promise<{identicalToCurrent: boolean, duplicatePostId: number|null}>} Duplicate check result
+ */
+const checkDuplicate = async (md5, post) => {
+  if (post.file?.md5 === md5) {
+    return { identicalToCurrent: true, duplicatePostId: null };
+  }
+
+  const existingPost = await api.findPostByMd5(md5);
+  if (existingPost && existingPost.id !== post.id) {
+    return { identicalToCurrent: false, duplicatePostId: existingPost.id };
+  }
+
+  return { identicalToCurrent: false, duplicatePostId: null };
+};
+
 /**
  * Process a post replacement workflow
  * @param {string|number} postId - The post ID to replace
- * @param {Object} imageAttachment - Discord attachment object
+ * @param {Object} imageAttachment - Discord attachment object (contentType may be null if unknown)
  * @param {string} reason - The reason for replacement
  * @param {Object} options - Additional options
  * @param {string} options.source - Optional source URL
  * @param {boolean} options.asPending - Submit as pending (default: false)
- * @returns {Promise<{success: boolean, oldImageUrl: string, replacementData: Object}>} Replacement result
+ * @returns {Promise<{success: boolean, oldImageUrl: string, contentType: string, replacementData: Object}>} Replacement result
  */
 const processReplacement = async (postId, imageAttachment, reason, options = {}) => {
   try {
@@ -95,11 +170,25 @@ const processReplacement = async (postId, imageAttachment, reason, options = {})
     }
 
     // Fetch the replacement file data
-    if (shouldPrintApiReturns()) {
-      console.log(`Fetching replacement file from ${imageAttachment.url}...`);
+    const { buffer: fileBuffer, contentType, md5 } = await downloadReplacementFile(imageAttachment.url, imageAttachment.name);
+
+    if (imageAttachment.contentType && imageAttachment.contentType !== contentType) {
+      throw new Error(`The file was expected to be ${fileType.formatContentType(imageAttachment.contentType)} but is actually ${fileType.formatContentType(contentType)}`);
+    }
+
+    // e6AI rejects files it already has, so stop before uploading
+    let duplicate = null;
+    try {
+      duplicate = await checkDuplicate(md5, postResult.post);
+    } catch (error) {
+      console.warn(`Duplicate check for post ${postId} failed, continuing with replacement:`, error.message);
+    }
+    if (duplicate?.identicalToCurrent) {
+      throw new Error(`The replacement file is identical to the current file of post ${postId}`);
+    }
+    if (duplicate?.duplicatePostId) {
+      throw new Error(`The replacement file is a duplicate of post #${duplicate.duplicatePostId}`);
     }
-    const axios = require('axios');
-    const imageResponse = await axios.get(imageAttachment.url, { responseType: 'stream' });
 
     // Submit the replacement
     if (shouldPrintApiReturns()) {
@@ -107,10 +196,11 @@ const processReplacement = async (postId, imageAttachment, reason, options = {})
     }
     const replacementData = await api.submitPostReplacement(
       postId,
-      imageResponse.data,
+      fileBuffer,
       imageAttachment.name,
-      imageAttachment.contentType,
-      reason,
+      contentType,
+      // Reasons are written in Discord markdown, but e6AI displays DText
+      dtextFormatter.toDText(reason),
       {
         source: options.source,
         asPending: options.asPending || false
@@ -123,6 +213,7 @@ const processReplacement = async (postId, imageAttachment, reason, options = {})
     return {
       success: true,
       oldImageUrl,
+      contentType,
       replacementData
     };
 
@@ -135,7 +226,7 @@ const processReplacement = async (postId, imageAttachment, reason, options = {})
 /**
  * Handle post undeletion after replacement
  * @param {string|number} postId - The post ID to undelete
- * @returns {Promise<{success: boolean, undeleteData: Object}>} Undeletion result
+ * @returns {Promise<{success: boolean, undeleteData: Object, error: string, cause: Error}>} Undeletion result, with the error and its cause on failure
  */
 const handlePostUndeletion = async (postId) => {
   try {
@@ -169,6 +260,7 @@ const handlePostUndeletion = async (postId) => {
     return {
       success: false,
       error: error.message,
+      cause: error,
       undeleteData: null
     };
   }
@@ -197,6 +289,8 @@ const refreshPostMessage = async (postId) => {
 
 module.exports = {
   validateInput,
+  downloadReplacementFile,
+  checkDuplicate,
   processReplacement,
   handlePostUndeletion,
   refreshPostMessage
@@ -0,0 +1,81 @@
+/**
+ * Replacement Request Lifecycle - States and allowed transitions
+ *
+ * This module defines the states a replacement request moves through and
+ * which transitions between them are allowed. It contains no storage or
+ * Discord code; the database module enforces these rules when recording
+ * a transition, and commands use the labels for display.
+ *
+ * submitted → claimed → undelete_required → accepted / declined / failed / withdrawn
+ *
+ * @module requestLifecycle
+ */
+
+const STATUSES = {
+    SUBMITTED: 'submitted',
+    CLAIMED: 'claimed',
+    UNDELETE_REQUIRED: 'undelete_required',
+    ACCEPTED: 'accepted',
+    DECLINED: 'declined',
+    FAILED: 'failed',
+    WITHDRAWN: 'withdrawn'
+};
+
+// Statuses a request can still be acted on in
+const ACTIVE_STATUSES = [STATUSES.SUBMITTED, STATUSES.CLAIMED, STATUSES.UNDELETE_REQUIRED];
+
+const TRANSITIONS = {
+    [STATUSES.SUBMITTED]: [STATUSES.CLAIMED, STATUSES.UNDELETE_REQUIRED, STATUSES.ACCEPTED, STATUSES.DECLINED, STATUSES.FAILED, STATUSES.WITHDRAWN],
+    [STATUSES.CLAIMED]: [STATUSES.SUBMITTED, STATUSES.UNDELETE_REQUIRED, STATUSES.ACCEPTED, STATUSES.DECLINED, STATUSES.FAILED, STATUSES.WITHDRAWN],
+    [STATUSES.UNDELETE_REQUIRED]: [STATUSES.ACCEPTED, STATUSES.DECLINED, STATUSES.FAILED, STATUSES.WITHDRAWN],
+    [STATUSES.ACCEPTED]: [],
+    [STATUSES.DECLINED]: [],
+    [STATUSES.FAILED]: [],
+    [STATUSES.WITHDRAWN]: []
+};
+
+const STATUS_LABELS = {
+    [STATUSES.SUBMITTED]: '📥 Submitted',
+    [STATUSES.CLAIMED]: '🙋 Claimed',
+    [STATUSES.UNDELETE_REQUIRED]: '🗑️ Undelete required',
+    [STATUSES.ACCEPTED]: '✅ Accepted',
+    [STATUSES.DECLINED]: '❌ Declined',
+    [STATUSES.FAILED]: '⚠️ Failed',
+    [STATUSES.WITHDRAWN]: '↩️ Withdrawn'
+};
+
+/**
+ * Check whether a request can move from one status to another
+ * @param {string} fromStatus - The current status
+ * @param {string} toStatus - The requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (fromStatus, toStatus) => {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Check whether a request can still be acted on
+ * @param {string} status - The request status
+ * @returns {boolean} True if the status is not final
+ */
+const isActive = (status) => {
+    return ACTIVE_STATUSES.includes(status);
+};
+
+/**
+ * Get a display label for a status
+ * @param {string} status - The request status
+ * @returns {string} Label with emoji, or the raw status if unknown
+ */
+const formatStatus = (status) => {
+    return STATUS_LABELS[status] || status;
+};
+
+module.exports = {
+    STATUSES,
+    ACTIVE_STATUSES,
+    canTransition,
+    isActive,
+    formatStatus
+};
\ No newline at end of file
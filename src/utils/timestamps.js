@@ -0,0 +1,41 @@
+/**
+ * Timestamps - Show stored database times in Discord messages
+ *
+ * SQLite's CURRENT_TIMESTAMP is written as UTC without a zone marker, so
+ * it has to be read as UTC explicitly before it can become one of
+ * Discord's <t:...> timestamps, which every client shows in its own zone.
+ *
+ * @module timestamps
+ */
+
+/**
+ * Read an SQLite CURRENT_TIMESTAMP value as Unix seconds
+ * @param {string} sqliteTimestamp - UTC timestamp in 'YYYY-MM-DD HH:MM:SS' format
+ * @returns {number} Seconds since the Unix epoch
+ */
+const toUnixSeconds = (sqliteTimestamp) => {
+    return Math.floor(new Date(`${sqliteTimestamp.replace(' ', 'T')}Z`).getTime() / 1000);
+};
+
+/**
+ * Convert an SQLite CURRENT_TIMESTAMP value to a Discord date and time
+ * @param {string} sqliteTimestamp - UTC timestamp in 'YYYY-MM-DD HH:MM:SS' format
+ * @returns {string} Discord timestamp markup
+ */
+const formatTimestamp = (sqliteTimestamp) => {
+    return `<t:${toUnixSeconds(sqliteTimestamp)}:f>`;
+};
+
+/**
+ * Convert an SQLite CURRENT_TIMESTAMP value to a relative Discord time, such as "3 hours ago"
+ * @param {string} sqliteTimestamp - UTC timestamp in 'YYYY-MM-DD HH:MM:SS' format
+ * @returns {string} Discord timestamp markup
+ */
+const formatAge = (sqliteTimestamp) => {
+    return `<t:${toUnixSeconds(sqliteTimestamp)}:R>`;
+};
+
+module.exports = {
+    formatTimestamp,
+    formatAge
+};
@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const dtextFormatter = require('../src/utils/dtextFormatter');
+
+// Each fixture is a DText file with the Discord markdown it should render to next to it
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'dtext');
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => file.endsWith('.dtext'))
+  .map(file => ({
+    name: path.basename(file, '.dtext'),
+    dtext: fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'),
+    expected: fs.readFileSync(path.join(FIXTURE_DIR, file.replace(/\.dtext$/, '.md')), 'utf8').trimEnd()
+  }));
+
+describe('formatDText', () => {
+  for (const fixture of fixtures) {
+    it(`renders the ${fixture.name} fixture`, () => {
+      assert.equal(dtextFormatter.formatDText(fixture.dtext), fixture.expected);
+    });
+  }
+
+  it('returns an empty string for empty input', () => {
+    assert.equal(dtextFormatter.formatDText(''), '');
+    assert.equal(dtextFormatter.formatDText(null), '');
+  });
+
+  it('makes site-relative links absolute', () => {
+    assert.equal(dtextFormatter.formatDText('"pool":/pools/3'), '[pool](https://e6ai.net/pools/3)');
+  });
+});
+
+describe('renderDText truncation', () => {
+  for (const fixture of fixtures) {
+    it(`keeps the ${fixture.name} fixture within every budget`, () => {
+      const started = Date.now();
+      for (const maxLength of [40, 100, 250, 1000]) {
+        const { text, truncated } = dtextFormatter.renderDText(fixture.dtext, {
+          maxLength,
+          readMoreUrl: 'https://e6ai.net/posts/1'
+        });
+        assert.ok(text.length <= maxLength, `${text.length} characters for a budget of ${maxLength}`);
+        assert.equal(truncated, fixture.expected.length > maxLength);
+      }
+      // Deeply nested tags once made truncation take exponential time
+      assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+    });
+  }
+
+  it('closes open markers and spoilers when cutting', () => {
+    const { text } = dtextFormatter.renderDText(`[spoiler][b]${'word '.repeat(50)}[/b][/spoiler]`, { maxLength: 40 });
+    assert.match(text, /^\|\|\*\*(word )*word\*\*\|\|…$/);
+  });
+
+  it('cuts at a word boundary and links to the full text', () => {
+    const suffix = '\n\n[…read more](https://e6ai.net/posts/1)';
+    const { text, truncated } = dtextFormatter.renderDText('alpha bravo charlie delta echo foxtrot golf hotel india juliet kilo lima', {
+      maxLength: suffix.length + 22,
+      readMoreUrl: 'https://e6ai.net/posts/1'
+    });
+    assert.equal(truncated, true);
+    assert.equal(text, `alpha bravo charlie${suffix}`);
+  });
+
+  it('leaves text within the budget untouched', () => {
+    assert.deepEqual(dtextFormatter.renderDText('[b]short[/b]', { maxLength: 100 }), { text: '**short**', truncated: false });
+  });
+});
+
+describe('cleanDText', () => {
+  it('strips formatting down to plain text', () => {
+    assert.equal(dtextFormatter.cleanDText('[b]Bold[/b] "link":/posts/1 and [[wiki_page|a page]]'), 'Bold link and a page');
+  });
+
+  it('cuts plain text to the budget', () => {
+    const cleaned = dtextFormatter.cleanDText('word '.repeat(50), { maxLength: dtextFormatter.DTEXT_BUDGETS.autocomplete });
+    assert.ok(cleaned.length <= 100);
+    assert.ok(cleaned.endsWith('word…'));
+  });
+});
+
+describe('toDText', () => {
+  it('converts Discord markdown to DText', () => {
+    const markdown = [
+      '# Title',
+      '**bold**, *italic*, _also italic_, __underline__, ~~strike~~ and ||spoiler||',
+      '[a link](https://e6ai.net/posts/1) and `code`',
+      '- item',
+      '  - nested',
+      '> quoted'
+    ].join('\n');
+    assert.equal(dtextFormatter.toDText(markdown), [
+      'h1. Title',
+      '[b]bold[/b], [i]italic[/i], [i]also italic[/i], [u]underline[/u], [s]strike[/s] and [spoiler]spoiler[/spoiler]',
+      '"a link":[https://e6ai.net/posts/1] and `code`',
+      '* item',
+      '** nested',
+      '[quote]',
+      'quoted',
+      '[/quote]'
+    ].join('\n'));
+  });
+
+  it('keeps code blocks and escaped characters as written', () => {
+    assert.equal(dtextFormatter.toDText('```js\nconst a = **b**;\n```'), '[code]\nconst a = **b**;\n[/code]');
+    assert.equal(dtextFormatter.toDText('not \\*italic\\*'), 'not *italic*');
+  });
+
+  // Markdown in the form formatDText produces should survive a trip to DText and back
+  const roundTrips = {
+    bold: '**bold** text',
+    italic: 'some *italic* text',
+    underline: '__underlined__',
+    strike: '~~struck~~',
+    spoiler: 'a ||hidden|| word',
+    nested: '**bold *and italic***',
+    inlineCode: 'run `npm test` first',
+    codeBlock: '```\nconst a = 1;\nconst b = 2;\n```',
+    link: '[the page](https://e6ai.net/wiki_pages/some_page)',
+    bareLink: '<https://example.com/page>',
+    quote: '> first line\n> second line',
+    headings: '# One\n## Two\n### Three',
+    list: '- item\n  - nested\n- another',
+    mixed: '## Reason\nThe old file had **broken hands**, see [post #5](https://e6ai.net/posts/5).\n\n> Please fix the ||eyes||\n\n- cropped\n- upscaled'
+  };
+
+  for (const [name, markdown] of Object.entries(roundTrips)) {
+    it(`round-trips ${name} through formatDText`, () => {
+      assert.equal(dtextFormatter.formatDText(dtextFormatter.toDText(markdown)), markdown);
+    });
+  }
+});
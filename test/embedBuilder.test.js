@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const embedBuilder = require('../src/utils/embedBuilder');
+const { DTEXT_BUDGETS } = require('../src/utils/dtextFormatter');
+const config = require('../config.json');
+
+// A post without uploader or approver, so no usernames are looked up
+const createPost = (overrides = {}) => ({
+  id: 1,
+  rating: 's',
+  description: 'word '.repeat(2000),
+  file: { url: 'https://static1.e6ai.net/data/00/00/00000000000000000000000000000000.png', ext: 'png' },
+  flags: {},
+  score: { total: 0 },
+  tags: { general: [] },
+  ...overrides
+});
+
+describe('createPostEmbed', () => {
+  it('keeps a long description within the budget', async () => {
+    const { embed } = await embedBuilder.createPostEmbed(createPost());
+    assert.ok(embed.data.description.length <= DTEXT_BUDGETS.description);
+  });
+
+  it('leaves room for the spoiler link of a spoilered post', async () => {
+    const post = createPost({ tags: { general: [config.tagsToFilter[0]] } });
+    for (const includeTags of [false, true]) {
+      const { embed, shouldSpoiler } = await embedBuilder.createPostEmbed(post, { includeTags });
+      assert.equal(shouldSpoiler, true);
+      assert.ok(embed.data.description.endsWith(`|| ${post.file.url} ||`));
+      const budget = includeTags ? DTEXT_BUDGETS.taggedDescription : DTEXT_BUDGETS.description;
+      assert.ok(embed.data.description.length <= budget, `${embed.data.description.length} characters`);
+    }
+  });
+});